@@ -0,0 +1,203 @@
+'use strict';
+
+const {computeIntegrity, toAsset} = require('./util');
+
+const IMAGE_REGEXP = /\.(png|jpe?g|gif|svg|webp)(\?|$)/i;
+
+/**
+ * 收集编译及其子编译中每个源文件输出的资源，如 file-loader、responsive-loader 输出的图片
+ * 抽取 css 和生成 html 都在子编译中进行，css、html 中引用的图片只记录在子编译里
+ * @param compilation
+ * @param resources             {源文件路径: [资源名]}
+ * @returns {{}}
+ */
+const collectResources = (compilation, resources) => {
+    compilation.modules.forEach((module) => {
+        const files = Object.keys(module.assets || {});
+
+        if (!module.resource || !files.length) {
+            return;
+        }
+
+        const resource = module.resource.split('?')[0];
+        resources[resource] = (resources[resource] || []).concat(files);
+    });
+
+    compilation.children.forEach((child) => collectResources(child, resources));
+    return resources;
+};
+
+/**
+ * 生成 asset-manifest.json，记录每个页面的 html、js、css 和图片，以及全部输出文件的地址、大小和 SRI hash
+ * 供部署、CDN 刷新等脚本使用，不需要再解析 html
+ */
+class AssetManifestPlugin {
+
+    /**
+     * @param options               {pages, publicPath, htmlPublicPath, legacy, hashFuncNames, filename}
+     *                              pages 为 setMultiplePage 返回的页面列表；publicPath、htmlPublicPath 为资源和页面的访问路径
+     *                              legacy 为差异化构建共享的 legacy 构建结果；filename 默认 asset-manifest.json
+     */
+    constructor(options) {
+        this.options = Object.assign({
+            publicPath: '/',
+            htmlPublicPath: '/',
+            hashFuncNames: ['sha256', 'sha384'],
+            filename: 'asset-manifest.json'
+        }, options);
+    }
+
+    apply(compiler) {
+        // emit 阶段资源已经完成压缩和 SRI 计算，离线包等在 emit 阶段生成的资源需要先于本插件注册
+        // 作为构建产物输出，开发环境下由 dev server 从内存中提供
+        compiler.plugin('emit', (compilation, callback) => {
+            const content = JSON.stringify(this.createManifest(compilation), null, 2);
+
+            compilation.assets[this.options.filename] = toAsset(content);
+            callback();
+        });
+    }
+
+    /**
+     * @param compilation
+     * @returns {{publicPath: string, pages: {}, files: {}}}
+     * @private
+     */
+    createManifest(compilation) {
+        const pages = {};
+        const files = {};
+        const htmlFiles = (this.options.pages || []).map((page) => page.filename);
+        const resources = collectResources(compilation, {});
+
+        (this.options.pages || []).forEach((page) => {
+            pages[page.name] = this.getPageAssets(compilation, page, resources);
+        });
+
+        Object.keys(compilation.assets).forEach((name) => {
+            files[name.split('?')[0]] = htmlFiles.indexOf(name) !== -1
+                ? this.getAssetInfo(compilation, name, this.options.htmlPublicPath)
+                : this.getAssetInfo(compilation, name);
+        });
+
+        return {
+            publicPath: this.options.publicPath,
+            pages,
+            files
+        };
+    }
+
+    /**
+     * 页面引用的资源，js、css 按页面中的加载顺序排列
+     * @param compilation
+     * @param page
+     * @param resources             collectResources 的返回值
+     * @returns {{html: {}, js: Array, css: Array, images: Array}}
+     * @private
+     */
+    getPageAssets(compilation, page, resources) {
+        const legacy = this.options.legacy;
+        const names = AssetManifestPlugin.getPageAssetNames(compilation, page, {legacy, resources});
+        const assets = {
+            html: names.html ? this.getAssetInfo(compilation, names.html, this.options.htmlPublicPath) : undefined,
+            js: names.js.map((name) => this.getAssetInfo(compilation, name)),
+            css: names.css.map((name) => this.getAssetInfo(compilation, name)),
+            images: names.images.map((name) => this.getAssetInfo(compilation, name))
+        };
+
+        if (legacy) {
+            assets.legacyJs = names.legacyJs.map((name) => this.getAssetInfo(compilation, name));
+        }
+
+        return assets;
+    }
+
+    /**
+     * @param compilation
+     * @param name                  资源名，可能带有 ?_bid= 等查询参数
+     * @param publicPath            默认为 options.publicPath
+     * @returns {{file: string, url: string, size: number, integrity: string}}
+     * @private
+     */
+    getAssetInfo(compilation, name, publicPath) {
+        const asset = compilation.assets[name];
+        const info = {
+            file: name.split('?')[0],
+            url: (publicPath || this.options.publicPath) + name
+        };
+
+        if (asset) {
+            info.size = asset.size();
+            info.integrity = asset.integrity || computeIntegrity(this.options.hashFuncNames, asset.source());
+        }
+
+        return info;
+    }
+}
+
+/**
+ * 页面引用的资源名，ServiceWorkerPlugin 也使用这里的结果确定需要预缓存的资源
+ * @param compilation
+ * @param page                  setMultiplePage 返回的页面
+ * @param options               {legacy, resources}，resources 不传入时从 compilation 中收集
+ * @returns {{html: string, js: Array, css: Array, legacyJs: Array, images: Array}}
+ */
+AssetManifestPlugin.getPageAssetNames = (compilation, page, options) => {
+    options = options || {};
+
+    // 页面 chunks 可能在编译过程中被 SharedChunksPlugin 修改
+    const chunkNames = page.plugin.options.chunks;
+    const chunks = compilation.chunks
+        .filter((chunk) => chunkNames.indexOf(chunk.name) !== -1)
+        .sort((a, b) => chunkNames.indexOf(a.name) - chunkNames.indexOf(b.name));
+    const legacy = options.legacy;
+    const resources = options.resources || collectResources(compilation, {});
+
+    const js = [];
+    const css = [];
+    const legacyJs = [];
+    const images = [];
+    const addImages = (names) => {
+        names.forEach((name) => {
+            if (IMAGE_REGEXP.test(name) && compilation.assets[name] && images.indexOf(name) === -1) {
+                images.push(name);
+            }
+        });
+    };
+
+    chunks.forEach((chunk) => {
+        chunk.files.forEach((name) => {
+            if (/\.js(\?|$)/.test(name)) {
+                js.push(name);
+            } else if (/\.css(\?|$)/.test(name)) {
+                css.push(name);
+            }
+        });
+
+        if (legacy && legacy.chunks[chunk.name]) {
+            legacy.chunks[chunk.name].forEach((name) => legacyJs.push(name));
+        }
+
+        chunk.forEachModule((module) => {
+            addImages(Object.keys(module.assets || {}));
+            // 抽取出的 css 模块中引用的图片记录在文件依赖中
+            (module.fileDependencies || []).forEach((dep) => addImages(resources[dep] || []));
+        });
+    });
+
+    // 页面模板中引用的图片
+    compilation.children
+        .filter((child) => child.name === `html-webpack-plugin for "${page.filename}"`)
+        .forEach((child) => {
+            child.modules.forEach((module) => addImages(Object.keys(module.assets || {})));
+        });
+
+    return {
+        html: compilation.assets[page.filename] ? page.filename : undefined,
+        js,
+        css,
+        legacyJs,
+        images
+    };
+};
+
+module.exports = AssetManifestPlugin;
@@ -2,14 +2,18 @@
 
 const fs = require('fs');
 const path = require('path');
+const schema = require('./schema');
+const {deepMerge, isPlainObject} = require('./util');
 
 class Config {
     /**
      * @function getPath
      * @desc     Find feflow.json file
+     * @param    filename   配置文件名
+     * @param    cwd        开始查找的目录，默认 process.cwd()
      */
-    static getPath(filename) {
-        let currDir = process.cwd();
+    static getPath(filename, cwd) {
+        let currDir = cwd || process.cwd();
 
         while (!fs.existsSync(path.join(currDir, filename))) {
             currDir = path.join(currDir, '../');
@@ -26,44 +30,216 @@ class Config {
     /**
      * @function getBuildConfig
      * @desc     Find builder type in feflow.json
+     * @param    env   环境名，不传入时读取 --env 参数或 FEFLOW_ENV 环境变量
+     * @param    cwd   开始查找配置文件的目录，默认 process.cwd()
      */
-    static getBuildConfig() {
-        let builderOptions;
+    static getBuildConfig(env, cwd) {
+        try {
+            return Config.getLayeredConfig(env, cwd).builderOptions;
+        } catch (ex) {
+            if (!ex.messages) {
+                throw ex;
+            }
+
+            ex.messages.forEach((message) => console.error(message));
+            process.exit(1);
+        }
+    }
+
+    /**
+     * @function getLayeredConfig
+     * @desc     按层合并配置：builderOptions -> envs.{env} -> feflow.{env}.json(js)
+     *           后面的层深度合并覆盖前面的层，数组整体覆盖
+     * @param    env   环境名，不传入时读取 --env 参数或 FEFLOW_ENV 环境变量
+     * @returns  {{env, builderOptions, layers: Array, sources: {}}}
+     *           sources 记录每个最终配置项来自哪一层，如 {'publicPath': 'envs.prod'}
+     *           配置的类型或取值有误时抛出异常，异常的 messages 字段为所有错误信息；未知配置项只给出警告
+     * @param    cwd   开始查找配置文件的目录，默认 process.cwd()
+     */
+    static getLayeredConfig(env, cwd) {
+        env = env || Config.getEnv();
+
+        let configFile;
+
+        if (Config.getPath('feflow.json', cwd)) {
+            configFile = path.join(Config.getPath('feflow.json', cwd), './feflow.json');
+        } else if (Config.getPath('feflow.js', cwd)) {
+            configFile = path.join(Config.getPath('feflow.js', cwd), './feflow.js');
+        } else {
+            Config.fail(['未找到 feflow 配置文件 feflow.json 或者 feflow.js']);
+        }
+
+        const feflowCfg = Config.load(configFile);
+
+        if (!feflowCfg || !feflowCfg.builderOptions) {
+            Config.fail([`${configFile}: 请确保配置是一个Object类型，并且含有builderOptions字段，且内容不为空`]);
+        }
 
-        if (Config.getPath('feflow.json')) {
-            const jsonConfigFile = path.join(Config.getPath('feflow.json'), './feflow.json');
-            const fileContent = fs.readFileSync(jsonConfigFile, 'utf-8');
+        const layers = [{name: 'builderOptions', file: configFile, options: feflowCfg.builderOptions}];
 
-            let feflowCfg;
+        if (env) {
+            const envs = feflowCfg.envs || {};
 
-            try {
-                feflowCfg = JSON.parse(fileContent);
-            } catch (ex) {
-                console.error('请确保feflow.json配置是一个Object类型，并且含有builderOptions字段');
+            if (envs[env]) {
+                layers.push({name: `envs.${env}`, file: configFile, options: envs[env]});
             }
 
-            builderOptions = feflowCfg.builderOptions;
+            const envFile = ['json', 'js']
+                .map((ext) => path.join(path.dirname(configFile), `feflow.${env}.${ext}`))
+                .filter((file) => fs.existsSync(file))[0];
 
-            if (!builderOptions) {
-                console.error('请确保feflow.js配置包含builderOptions字段，且内容不为空')
+            if (envFile) {
+                const envCfg = Config.load(envFile);
+
+                if (!envCfg || !envCfg.builderOptions) {
+                    Config.fail([`${envFile}: 请确保配置是一个Object类型，并且含有builderOptions字段`]);
+                }
+                layers.push({name: path.basename(envFile), file: envFile, options: envCfg.builderOptions});
+            }
+
+            // --env、FEFLOW_ENV 也可能是给 webpack 或 CI 使用的，没有对应的配置层时只提示，继续使用 builderOptions
+            if (layers.length === 1) {
+                const suggestion = schema.suggest(env, Object.keys(envs));
+                console.warn(`${configFile}: 未找到环境 ${env} 的配置 envs.${env} 或 feflow.${env}.json，使用 builderOptions` +
+                    (suggestion ? `，你是不是想使用 ${suggestion}？` : ''));
             }
+        }
+
+        const errors = layers.reduce((result, layer) => {
+            const keyPath = layer.name === `envs.${env}` ? layer.name : 'builderOptions';
+            return result.concat(Config.validate(layer.options, layer.file, keyPath));
+        }, []);
+
+        // 未知配置项可能是新版本的配置或者其他插件使用的配置，只提示不中断构建；类型和取值错误才中断
+        errors.filter((error) => error.unknown).forEach((error) => console.warn(error.message));
+
+        const fatalErrors = errors.filter((error) => !error.unknown);
 
-            return builderOptions;
-        } else if (Config.getPath('feflow.js')) {
-            const jsConfigFile = path.join(Config.getPath('feflow.js'), './feflow.js');
+        if (fatalErrors.length) {
+            Config.fail(fatalErrors.map((error) => error.message));
+        }
+
+        let builderOptions = {};
+        const sources = {};
 
-            let feflowCfg = require(jsConfigFile);
+        layers.forEach((layer) => {
+            builderOptions = deepMerge(builderOptions, layer.options);
+            Config.trackSources(layer.options, '', layer.name, sources);
+        });
+
+        return {
+            env,
+            builderOptions,
+            layers: layers.map((layer) => ({name: layer.name, file: layer.file})),
+            sources
+        };
+    }
+
+    /**
+     * @function getEnv
+     * @desc     读取环境名，优先 --env xx / --env=xx 参数，其次 FEFLOW_ENV 环境变量
+     */
+    static getEnv() {
+        const argv = process.argv;
 
-            builderOptions = feflowCfg.builderOptions;
+        for (let i = 0; i < argv.length; i++) {
+            const match = /^--env=(.+)$/.exec(argv[i]);
 
-            if (!builderOptions) {
-              console.error('请确保feflow.js配置包含builderOptions字段，且内容不为空')
+            if (match) {
+                return match[1];
             }
-            return builderOptions;
-        } else {
-            console.error('未找到 feflow 配置文件 feflow.json 或者 feflow.js');
+            if (argv[i] === '--env' && argv[i + 1]) {
+                return argv[i + 1];
+            }
+        }
+
+        return process.env.FEFLOW_ENV;
+    }
+
+    /**
+     * @function load
+     * @desc     读取 feflow.json 或 feflow.js 配置文件
+     * @private
+     */
+    static load(configFile) {
+        try {
+            if (path.extname(configFile) === '.json') {
+                return JSON.parse(fs.readFileSync(configFile, 'utf-8'));
+            }
+            return require(configFile);
+        } catch (ex) {
+            Config.fail([`${configFile}: 解析失败，请确保配置文件内容合法 (${ex.message})`]);
         }
     }
+
+    /**
+     * @function trackSources
+     * @desc     记录某一层配置覆盖了哪些配置项，普通对象逐层记录，其它值整体记录
+     * @private
+     */
+    static trackSources(options, prefix, layerName, sources) {
+        Object.keys(options).forEach((key) => {
+            const value = options[key];
+            const keyPath = prefix ? `${prefix}.${key}` : key;
+
+            if (value === undefined) {
+                return;
+            }
+
+            if (isPlainObject(value)) {
+                delete sources[keyPath];
+                Config.trackSources(value, keyPath, layerName, sources);
+            } else {
+                Object.keys(sources)
+                    .filter((source) => source.indexOf(`${keyPath}.`) === 0)
+                    .forEach((source) => delete sources[source]);
+                sources[keyPath] = layerName;
+            }
+        });
+    }
+
+    /**
+     * @function validate
+     * @desc     按 schema 校验 builderOptions，返回错误列表，没有错误时为空数组
+     * @param    builderOptions   需要校验的配置
+     * @param    file             配置所在文件，用于错误提示
+     * @param    keyPath          配置在文件中的路径，默认 builderOptions
+     * @returns  {Array}          [{file, keyPath, expected, actual, unknown, suggestion, message}]，unknown 为 true 的是未知配置项
+     */
+    static validate(builderOptions, file, keyPath) {
+        const rule = {type: 'object', properties: schema.builderOptions};
+
+        return schema.validate(builderOptions, rule, keyPath || 'builderOptions').map((error) => {
+            let message;
+
+            if (error.unknown) {
+                message = `${file}: ${error.keyPath} 不是合法的配置项`;
+                if (error.suggestion) {
+                    message += `，你是不是想配置 ${error.suggestion}？`;
+                }
+            } else if (Array.isArray(error.expected)) {
+                message = `${file}: ${error.keyPath} 只能为 ${error.expected.join('、')}，实际为 ${error.actual}`;
+                if (error.suggestion) {
+                    message += `，你是不是想配置 ${error.suggestion}？`;
+                }
+            } else {
+                message = `${file}: ${error.keyPath} 应为 ${error.expected} 类型，实际为 ${error.actual}`;
+            }
+
+            return Object.assign({file, message}, error);
+        });
+    }
+
+    /**
+     * @function fail
+     * @desc     抛出配置错误，错误信息列表挂在异常的 messages 字段上
+     * @private
+     */
+    static fail(messages) {
+        const error = new Error(messages.join('\n'));
+        error.messages = messages;
+        throw error;
+    }
 }
 
-module.exports = Config;
\ No newline at end of file
+module.exports = Config;
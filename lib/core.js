@@ -13,47 +13,211 @@ const HtmlWebpackExternalsPlugin = require('html-webpack-externals-plugin');
 const HtmlWebpackInlineSourcePlugin = require('html-webpack-inline-source-plugin');
 const ReplaceBundleStringPlugin = require('replace-bundle-webpack-plugin');
 const HtmlStringReplace = require('html-string-replace-webpack-plugin');
-const StringReplaceWebpackPlugin = require('string-replace-webpack-plugin');
 const SriPlugin = require('webpack-subresource-integrity');
-const OfflineWebpackPlugin = require('offline-webpack-plugin');
 const PurgecssPlugin = require('purgecss-webpack-plugin');
+const autoprefixer = require('autoprefixer');
+const UglifyEsPlugin = require('uglifyjs-webpack-plugin');
+const ForkTsCheckerWebpackPlugin = require('fork-ts-checker-webpack-plugin');
 const {deepCopy, listDir, merge, isEmpty} = require('./util');
 const Config = require('./config');
-// 当前运行的时候的根目录
-let projectRoot = Config.getPath('feflow.json');
+const SharedChunksPlugin = require('./shared-chunks-plugin');
+const DifferentialPlugin = require('./differential-plugin');
+const pxUnit = require('./px-unit-plugin');
+const ImageOptimizePlugin = require('./image-optimize-plugin');
+const AssetManifestPlugin = require('./asset-manifest-plugin');
+const OfflinePackagePlugin = require('./offline-package-plugin');
+const {createOfflineRules, DEFAULT_RULES: DEFAULT_OFFLINE_RULES} = require('./offline-rules');
+const ServiceWorkerPlugin = require('./service-worker-plugin');
+const ReplacePlugin = require('./replace-plugin');
+const TemplateEnginePlugin = require('./template-engine-plugin');
+const {
+    DEFAULT_CDN: DEFAULT_EXTERNALS_CDN,
+    REGISTRY: EXTERNALS_REGISTRY,
+    getInstalledVersion,
+    formatUrl,
+    getRegistryPath
+} = require('./externals-registry');
+
+// 页面默认的入口文件与模板文件，按顺序取第一个存在的文件
+const DEFAULT_ENTRY_FILES = ['init.js', 'init.ts', 'init.tsx'];
+const DEFAULT_TEMPLATE_FILES = ['index.html'];
+// 默认的目标浏览器，兼容 iOS 7
+const DEFAULT_BROWSERS = ['last 2 version', '> 1%', 'iOS 7'];
+// 差异化构建时 modern 版本的目标浏览器，即支持 <script type="module"> 的浏览器
+const MODERN_BROWSERS = ['Chrome >= 61', 'Safari >= 11', 'iOS >= 11', 'Firefox >= 60', 'Edge >= 16'];
+// 各类资源默认的输出目录，相对资源路径前缀
+const DEFAULT_ASSET_DIRS = {img: 'img', media: 'media', font: 'font', css: ''};
+// 业务 js 文件名后默认的查询参数
+const DEFAULT_JS_QUERY = '_bid=152';
+// SRI 使用的 hash 算法，asset-manifest.json 中的 hash 与页面中的 integrity 一致
+const SRI_HASH_FUNCS = ['sha256', 'sha384'];
+// setExternalPlugin 未传入 externals 时使用的 react 和 react-dom
+const DEFAULT_EXTERNALS = [
+    {
+        module: 'react',
+        entry: '//11.url.cn/now/lib/15.1.0/react-with-addons.min.js?_bid=3123',
+        global: 'React'
+    }, {
+        module: 'react-dom',
+        entry: '//11.url.cn/now/lib/15.1.0/react-dom.min.js?_bid=3123',
+        global: 'ReactDOM'
+    }
+];
+// 默认的设计稿宽度
+const DEFAULT_DESIGN_WIDTH = 750;
+// 默认不做单位转换的样式文件，第三方包的样式按各自的尺寸编写
+const DEFAULT_UNIT_EXCLUDE = [/[\\/]node_modules[\\/]/];
+// 默认开启 CSS Modules 的样式文件，如 index.module.scss
+const DEFAULT_CSS_MODULES_TEST = /\.module\.(css|scss|less)$/;
+// 默认按需加载的组件库
+const DEFAULT_IMPORT_LIBRARIES = [{libraryName: 'antd', libraryDirectory: 'es', style: 'css'}];
+
+/**
+ * 获取 babel preset 或 plugin 的名称，去掉 babel-preset-、babel-plugin- 前缀
+ * @param item                  'env' 或 ['env', {}]
+ * @param type                  preset 或 plugin
+ * @returns {string}
+ */
+const getBabelItemName = (item, type) => {
+    const name = Array.isArray(item) ? item[0] : item;
+    return typeof name === 'string' ? name.replace(`babel-${type}-`, '') : name;
+};
 
-if (!projectRoot) {
-    projectRoot = Config.getPath('feflow.js');
-}
+/**
+ * 去掉指定名称的 babel preset 或 plugin
+ * @param items                 preset 或 plugin 列表
+ * @param names                 需要去掉的名称
+ * @param type                  preset 或 plugin
+ * @returns {Array}
+ */
+const removeBabelItems = (items, names, type) => {
+    const removed = (names || []).map((name) => getBabelItemName(name, type));
+    return items.filter((item) => removed.indexOf(getBabelItemName(item, type)) === -1);
+};
+
+/**
+ * 优先使用构建器自身安装的 babel preset 和 plugin，找不到时交给 babel 从项目中查找
+ * @param item                  'env' 或 ['env', {}]
+ * @param type                  preset 或 plugin
+ * @returns {*}
+ */
+const resolveBabelItem = (item, type) => {
+    const name = Array.isArray(item) ? item[0] : item;
+
+    if (typeof name !== 'string' || path.isAbsolute(name)) {
+        return item;
+    }
+
+    let resolved;
+    try {
+        resolved = require.resolve(name.indexOf(`babel-${type}-`) === 0 ? name : `babel-${type}-${name}`);
+    } catch (ex) {
+        return item;
+    }
 
-const PATHS = {
-    src: path.join(projectRoot, 'src')
+    return Array.isArray(item) ? [resolved].concat(item.slice(1)) : resolved;
 };
 
-module.exports = class BuilderCore {
+/**
+ * setCssRule 等单独调用时是否开启样式热更新，未传入时除生产环境外都开启
+ * @param hot
+ * @returns {boolean}
+ */
+const getDefaultHot = (hot) => hot !== undefined ? !!hot : process.env.NODE_ENV !== 'production';
+
+class BuilderCore {
+
+    /**
+     * @param options               {root: 项目根目录}
+     *                              不传入 root 时从当前目录向上查找 feflow.json 或 feflow.js 所在目录
+     */
+    constructor(options) {
+        const root = (options && options.root) || BuilderCore.findRoot();
+
+        if (!root) {
+            throw new Error('未找到 feflow 配置文件 feflow.json 或者 feflow.js，请通过 root 指定项目根目录');
+        }
+
+        this.root = path.resolve(root);
+        this.paths = {
+            src: path.join(this.root, 'src')
+        };
+    }
+
+    /**
+     * 从当前目录向上查找项目根目录
+     * @returns {string|boolean}
+     */
+    static findRoot() {
+        return Config.getPath('feflow.json') || Config.getPath('feflow.js');
+    }
+
+    /**
+     * 读取项目根目录下的 builderOptions，支持按环境分层
+     * @param env                   环境名，不传入时读取 --env 参数或 FEFLOW_ENV 环境变量
+     * @returns {{}}
+     */
+    getBuildConfig(env) {
+        return Config.getBuildConfig(env, this.root);
+    }
+
+    /**
+     * 设置 babel-loader 的 HappyPack 多实例构建
+     *
+     * @param jsLoader              babel-loader 配置，会直接覆盖生成的同名配置
+     * @param useTreeShaking        是否保留 ES Module 语法以便 tree shaking
+     * @param babel                 {presets, plugins, removePresets, removePlugins, importLibraries, babelrc, targets}
+     *                              presets/plugins 为追加的 preset 和 plugin，removePresets/removePlugins 为去掉的默认项
+     *                              importLibraries 为按需加载的组件库，默认 antd
+     *                              babelrc 为 false 时不读取项目的 .babelrc 和 babel.config.js
+     *                              targets 为 browserslist 查询，默认读取项目的 browserslist 配置
+     * @returns {HappyPack}
+     */
+    setHappyPack(jsLoader, useTreeShaking, babel) {
+        babel = babel || {};
 
-    static setHappyPack(jsLoader, useTreeShaking) {
-        let presets = ['env', 'stage-0', 'react'];
+        const envOptions = {
+            targets: {
+                browsers: this.getBrowsers(babel.targets)
+            }
+        };
 
         if (useTreeShaking) {
-            presets = [[ "env", {
-                "modules": false,
-            }], 'stage-0', 'react'];
+            envOptions.modules = false;
+        }
+
+        let presets = [['env', envOptions], 'stage-0', 'react'];
+        let plugins = ['transform-decorators-legacy'];
+        const importLibraries = babel.importLibraries || DEFAULT_IMPORT_LIBRARIES;
+
+        if (importLibraries.length) {
+            plugins.push(['import', importLibraries.length === 1 ? importLibraries[0] : importLibraries]);
+        }
+
+        // .babelrc 由 babel 自行读取，babel.config.js 需要手动合并
+        const babelConfigFile = path.join(this.root, 'babel.config.js');
+        if (babel.babelrc !== false && fs.existsSync(babelConfigFile)) {
+            let babelConfig = require(babelConfigFile);
+
+            if (typeof babelConfig === 'function') {
+                babelConfig = babelConfig({
+                    env: () => process.env.BABEL_ENV || process.env.NODE_ENV || 'development',
+                    cache: () => {}
+                });
+            }
+
+            presets = presets.concat(babelConfig.presets || []);
+            plugins = plugins.concat(babelConfig.plugins || []);
         }
 
+        presets = removeBabelItems(presets, babel.removePresets, 'preset').concat(babel.presets || []);
+        plugins = removeBabelItems(plugins, babel.removePlugins, 'plugin').concat(babel.plugins || []);
+
         let options = Object.assign({
             cacheDirectory: true,
-            plugins: [
-                'transform-decorators-legacy',
-                [
-                    "import", {
-                        "libraryName": "antd",
-                        "libraryDirectory": "es",
-                        "style": "css"
-                    }
-                ]
-            ],
-            presets: presets
+            babelrc: babel.babelrc !== false,
+            plugins: plugins.map((plugin) => resolveBabelItem(plugin, 'plugin')),
+            presets: presets.map((preset) => resolveBabelItem(preset, 'preset'))
         }, jsLoader);
 
         return new HappyPack({
@@ -66,29 +230,164 @@ module.exports = class BuilderCore {
         });
     }
 
-    static setTsHappyPack() {
+    /**
+     * 获取项目的目标浏览器列表
+     * 优先使用传入的配置，其次读取项目的 .browserslistrc 或 package.json 中的 browserslist 字段
+     * @param browsers              browserslist 查询，字符串或数组
+     * @returns {Array}
+     */
+    getBrowsers(browsers) {
+        if (browsers) {
+            return [].concat(browsers);
+        }
+
+        const rcFile = path.join(this.root, '.browserslistrc');
+        const pkgFile = path.join(this.root, 'package.json');
+        let config;
+
+        if (fs.existsSync(rcFile)) {
+            config = fs.readFileSync(rcFile, 'utf-8')
+                .split(/\r?\n/)
+                .map((line) => line.replace(/#.*$/, '').trim())
+                .filter((line) => line && !/^\[.*\]$/.test(line));
+        } else if (fs.existsSync(pkgFile)) {
+            config = JSON.parse(fs.readFileSync(pkgFile, 'utf-8')).browserslist;
+        }
+
+        // 按环境区分的配置，如 {production: [...], development: [...]}
+        if (config && !Array.isArray(config) && typeof config === 'object') {
+            config = config[process.env.BROWSERSLIST_ENV || process.env.NODE_ENV || 'production'] || config.defaults;
+        }
+
+        return isEmpty(config) ? DEFAULT_BROWSERS : [].concat(config);
+    }
+
+    /**
+     * 项目中安装的 typescript，ts-loader、类型检查和 tsconfig paths 的解析都使用这一份
+     * @returns {string}            typescript 的入口文件路径
+     */
+    getTypescriptPath() {
+        try {
+            return require.resolve('typescript', {paths: [this.root]});
+        } catch (ex) {
+            throw new Error('使用 TypeScript 需要在项目中安装 typescript: npm install --save-dev typescript');
+        }
+    }
+
+    /**
+     * 设置 ts-loader 的 HappyPack 多实例构建
+     * @param configFile            tsconfig 文件路径，不传入时由 ts-loader 从入口文件所在目录向上查找
+     * @returns {HappyPack}
+     */
+    setTsHappyPack(configFile) {
+        const options = {
+            happyPackMode: true,
+            compiler: this.getTypescriptPath()
+        };
+
+        if (configFile) {
+            options.configFile = configFile;
+        }
+
         return new HappyPack({
             id: 'ts',
             loaders: [
                 {
                     loader: 'ts-loader',
-                    options: {
-                        happyPackMode: true
-                    }
+                    options
                 }
             ]
         });
     }
 
+    /**
+     * 获取项目的 tsconfig 文件
+     * @param configFile            tsconfig 路径，相对项目根目录，默认 tsconfig.json
+     * @returns {string|undefined}  未配置且默认文件不存在时返回 undefined
+     */
+    getTsConfigFile(configFile) {
+        const file = path.resolve(this.root, configFile || 'tsconfig.json');
+
+        if (fs.existsSync(file)) {
+            return file;
+        }
+        if (configFile) {
+            throw new Error(`找不到 tsconfig 文件: ${file}`);
+        }
+    }
+
+    /**
+     * 在单独的进程中做类型检查，ts-loader 在 happyPackMode 下只转译不检查类型
+     * 类型错误会作为构建错误输出，生产环境构建时会中断构建
+     * @param configFile            tsconfig 文件路径
+     * @returns {ForkTsCheckerWebpackPlugin}
+     * @private
+     */
+    setTsCheckerPlugin(configFile) {
+        return new ForkTsCheckerWebpackPlugin({
+            typescript: this.getTypescriptPath(),
+            tsconfig: configFile,
+            async: false,
+            // happyPackMode 下 ts-loader 不会报告语法错误，由类型检查进程报告
+            checkSyntacticErrors: true
+        });
+    }
+
+    /**
+     * 根据 tsconfig 中的 compilerOptions.paths 生成 alias
+     * 支持 "@/*": ["src/*"] 形式的目录映射和不带通配符的精确映射，其他形式的通配符 webpack alias 无法表示，会被忽略
+     * 同一规则配置多个路径时只使用第一个
+     * @param configFile            tsconfig 文件路径
+     * @returns {{}}
+     */
+    getTsPathsAlias(configFile) {
+        const alias = {};
+
+        if (!configFile) {
+            return alias;
+        }
+
+        const ts = require(this.getTypescriptPath());
+        const {config, error} = ts.readConfigFile(configFile, ts.sys.readFile);
+
+        if (error) {
+            return alias;
+        }
+
+        // 解析 extends 等配置，得到最终的 compilerOptions
+        const {options} = ts.parseJsonConfigFileContent(config, ts.sys, path.dirname(configFile));
+        const paths = options.paths || {};
+        const baseUrl = options.baseUrl || path.dirname(configFile);
+
+        Object.keys(paths).forEach((key) => {
+            const target = paths[key][0];
+
+            if (!target) {
+                return;
+            }
+
+            if (/\/\*$/.test(key) && /\/\*$/.test(target)) {
+                alias[key.slice(0, -2)] = path.resolve(baseUrl, target.slice(0, -2));
+            } else if (key.indexOf('*') === -1 && target.indexOf('*') === -1) {
+                alias[`${key}$`] = path.resolve(baseUrl, target);
+            }
+        });
+
+        return alias;
+    }
+
     /**
      * 设置打包后的输出 output 内容
      * @param useHash               是否开启JS资源hash
      * @param pathPrefix            JS的前缀, 不传入则为空
      * @param publicPath
+     * @param outDir                输出目录，默认 public
+     * @param suffix                JS文件名后缀，如差异化构建 legacy 版本的 -legacy
+     * @param query                 JS文件名后的查询参数，不传入时为默认的 _bid=152，为 false 或空字符串时不带，见 getJsQuery
      * @returns {{filename: string, path: string, publicPath: *}}
      * @private
      */
-    static setOutput(useHash, pathPrefix, publicPath, outDir) {
+    setOutput(useHash, pathPrefix, publicPath, outDir, suffix, query) {
         let filename = '';
         let hash = '';
 
@@ -102,41 +401,83 @@ module.exports = class BuilderCore {
 
         outDir = outDir || 'public'
 
+        if (query === undefined) {
+            query = DEFAULT_JS_QUERY;
+        }
+
         return {
-            filename: `${filename}[name]${hash}.js?_bid=152`,
-            path: path.join(projectRoot, `${outDir}/`),
+            filename: `${filename}[name]${suffix || ''}${hash}.js${query ? `?${query}` : ''}`,
+            path: path.join(this.root, `${outDir}/`),
             publicPath: publicPath,
             crossOriginLoading: 'anonymous'
         };
     }
 
+    /**
+     * 业务 js 文件名后的查询参数，默认 _bid=152
+     * @param naming                builderOptions.assets，jsQuery 为 false 或空字符串时不带查询参数，为 true 时使用默认值
+     * @returns {string}
+     */
+    getJsQuery(naming) {
+        const query = naming && typeof naming.jsQuery !== 'undefined' && naming.jsQuery !== true
+            ? naming.jsQuery
+            : DEFAULT_JS_QUERY;
+        return query ? String(query).replace(/^\?/, '') : '';
+    }
+
     /**
      * 设置图片解析规则
+     * 小于 inlineLimit 的图片内联为 base64；引用时带上 ?responsive 的 png、jpg 按 sizes 生成多种宽度，
+     * 返回 {src, srcSet, images}，也可以通过 ?sizes[]=320,sizes[]=640 单独指定宽度
      * @param useHash               是否开启图片资源hash
      * @param pathPrefix            图片的前缀，不传入则为空
-     * @returns {{test: RegExp, use: {loader: string, options: {name: string}}}}
+     * @param akbid                 图片资源的 _bid 参数，naming 中未配置 query 时使用
+     * @param options               {inlineLimit: 内联的最大字节数, sizes: 多种宽度, quality: 缩放后的图片质量}
+     * @param naming                资源命名规则，同 getAssetName
+     * @returns {{test: RegExp, oneOf: Array}}
      * @private
      */
-    static setImgRule(useHash, pathPrefix, akbid) {
-        let filename = '';
-        let hash = '';
+    setImgRule(useHash, pathPrefix, akbid, options, naming) {
+        options = options || {};
+        naming = Object.assign({}, naming);
 
-        if (pathPrefix) {
-            filename = pathPrefix + '/';
+        if (!naming.query && akbid) {
+            naming.query = `_bid=${akbid}`;
         }
 
-        if (useHash) {
-            hash = '_[hash:8]';
-        }
+        const fileLoader = {
+            loader: 'inline-file-loader',
+            options: {
+                name: this.getAssetName('img', useHash, pathPrefix, naming)
+            }
+        };
+        // 超过 inlineLimit 的图片仍交给 inline-file-loader，保留 ?__inline 语法
+        const loader = options.inlineLimit
+            ? {
+                loader: 'url-loader',
+                options: Object.assign({limit: options.inlineLimit, fallback: 'inline-file-loader'}, fileLoader.options)
+            }
+            : fileLoader;
 
         return {
-            test: /\.(png|svg|jpg|gif|blob)$/,
-            use: [{
-                loader: 'inline-file-loader',
-                options: {
-                    name: akbid ? `${filename}img/[name]${hash}.[ext]?_bid=${akbid}` : `${filename}img/[name]${hash}.[ext]`
+            test: /\.(png|svg|jpg|jpeg|gif|webp|blob)$/,
+            oneOf: [
+                {
+                    test: /\.(png|jpg|jpeg)$/,
+                    resourceQuery: /(^|[?&])(responsive|sizes)/,
+                    use: [{
+                        loader: 'responsive-loader',
+                        options: {
+                            name: this.getAssetName('img', useHash, pathPrefix, naming, '-[width]'),
+                            sizes: options.sizes,
+                            quality: options.quality || 80
+                        }
+                    }]
+                },
+                {
+                    use: [loader]
                 }
-            }]
+            ]
         };
     }
 
@@ -144,27 +485,17 @@ module.exports = class BuilderCore {
      * 设置富媒体解析规则
      * @param useHash               是否开启资源hash
      * @param pathPrefix            前缀，不传入则为空
+     * @param naming                资源命名规则，同 getAssetName
      * @returns {{test: RegExp, use: {loader: string, options: {name: string}}}}
      * @private
      */
-    static setMediaRule(useHash, pathPrefix) {
-        let filename = '';
-        let hash = '';
-
-        if (pathPrefix) {
-            filename = pathPrefix + '/';
-        }
-
-        if (useHash) {
-            hash = '_[hash:8]';
-        }
-
+    setMediaRule(useHash, pathPrefix, naming) {
         return {
-            test: /\.(mp3|mp4|mov)$/,
+            test: /\.(mp3|mp4|mov|webm|ogg|ogv|wav|m4a|aac)$/,
             use: [{
                 loader: 'file-loader',
                 options: {
-                    name: `${filename}img/[name]${hash}.[ext]`
+                    name: this.getAssetName('media', useHash, pathPrefix, naming)
                 }
             }]
         };
@@ -172,224 +503,324 @@ module.exports = class BuilderCore {
 
     /**
      * 设置字体解析规则
+     * @param useHash               是否开启资源hash
+     * @param pathPrefix            前缀，不传入则为空
+     * @param naming                资源命名规则，同 getAssetName
+     * @returns {{test: RegExp, use: {loader: string, options: {name: string}}}}
+     * @private
      */
-    static setFontRule() {
+    setFontRule(useHash, pathPrefix, naming) {
         return {
             test: /\.(woff|woff2|eot|ttf|otf)$/,
             use: {
-                loader: 'file-loader'
+                loader: 'file-loader',
+                options: {
+                    name: this.getAssetName('font', useHash, pathPrefix, naming)
+                }
             }
         };
     }
 
+    /**
+     * 资源文件名，图片、富媒体、字体和抽取出的 css 使用同一套命名规则：{前缀}/{目录}/[name]_[hash].[ext]?{query}
+     * @param type                  img、media、font 或 css
+     * @param useHash               是否带 hash
+     * @param pathPrefix            路径前缀，不传入则为空
+     * @param naming                builderOptions.assets，{prefix, dirs, hashLength, query}
+     *                              prefix 为生产环境替换 pathPrefix 的前缀；dirs 为各类资源的输出目录；
+     *                              hashLength 为 hash 长度，默认 8；query 为文件名后的查询参数，如 _bid=152
+     * @param suffix                hash 之后的后缀，如多种宽度图片的 -[width]
+     * @returns {string}
+     */
+    getAssetName(type, useHash, pathPrefix, naming, suffix) {
+        naming = naming || {};
+
+        const prefix = pathPrefix && naming.prefix !== undefined ? naming.prefix : pathPrefix;
+        const dir = naming.dirs && naming.dirs[type] !== undefined ? naming.dirs[type] : DEFAULT_ASSET_DIRS[type];
+        const hash = useHash ? `_[${type === 'css' ? 'contenthash' : 'hash'}:${naming.hashLength || 8}]` : '';
+        const ext = type === 'css' ? 'css' : '[ext]';
+        const query = naming.query ? `?${naming.query.replace(/^\?/, '')}` : '';
+
+        return [prefix, dir, `[name]${hash}${suffix || ''}.${ext}${query}`].filter(Boolean).join('/');
+    }
+
     /**
      * 设置 Html 文件解析规则
-     * 支持 Fis3 的 ?inline 语法糖
+     * 支持 Fis3 的 ?__inline、<!--inline[]-->、__uri()、__md5() 语法糖，见 inline-loader
+     * 使用 EJS、Handlebars 时同样处理语法糖和 src 中的相对路径，得到的模板由 TemplateEnginePlugin 在生成页面时渲染
      *
+     * @param templateFiles         页面模板文件名列表，默认为模板引擎对应的 getTemplateFiles
+     * @param naming                资源命名规则，__md5 使用其中的 hashLength，默认为 {}
+     * @param engine                模板引擎，html、ejs 或 handlebars，默认 html
      * @returns {{test: RegExp, use: Array}}
      * @private
      */
-    static setHtmlRule() {
+    setHtmlRule(templateFiles, naming, engine) {
+        engine = engine || 'html';
+        naming = naming || {};
+        templateFiles = templateFiles || this.getTemplateFiles({engine});
+
+        const test = new RegExp('(^|[\\\\/])(' + templateFiles
+            .map((file) => file.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+            .join('|') + ')$');
+
+        const useEngine = engine !== 'html';
         const htmlRuleArray = [];
 
         htmlRuleArray.push({
             loader: 'html-loader',
-            options: {
+            // 模板引擎的模板中 ${}、src 属性可能是模板语法，只处理 inline-loader 改写出的 ${require()}
+            options: useEngine ? {interpolate: 'require', attrs: false} : {
                 // 支持 html `${}` 语法
                 interpolate: 1,
                 attrs: [':src']
             }
         });
 
-        // Fis3 inline 语法糖支持
+        // Fis3 inline 语法糖支持，包括 js、css、图片、html 片段的内联和 __uri、__md5 资源定位
         htmlRuleArray.push({
-            loader: 'replace-text-loader',
+            loader: require.resolve('./inline-loader'),
             options: {
-                rules: [
-                    {
-                        // inline script, 匹配所有的<script src="package?__inline"></script> 需要inline的标签
-                        // 并且替换为
-                        // <script>${require('raw-loader!babel-loader!../../node_modules/@tencent/report
-                        // - whitelist')}</script> 语法
-                        pattern: /<script.*?src="(.*?)\?__inline".*?>.*?<\/script>/gmi,
-                        replacement: (source) => {
-                            // 找到需要 inline 的包
-                            const result = /<script.*?src="(.*?)\?__inline"/gmi.exec(source);
-                            const pkg = result && result[1];
-                            return "<script>${require('raw-loader!babel-loader!" + pkg + "')}</script>";
-                        }
-                    }, {
-                        // inline html, 匹配<!--inline[/assets/inline/meta.html]-->语法
-                        pattern: /<!--inline\[.*?\]-->/gmi,
-                        replacement: (source) => {
-                            // 找到需要 inline 的包
-                            const result = /<!--inline\[(.*?)\]-->/gmi.exec(source);
-                            let path = result && result[1];
-                            if (path && path[0] === '/') {
-                                path = '../..' + path;
-                            }
-
-                            return "${require('raw-loader!" + path + "')}";
-                        }
-                    }
-                ]
+                srcPath: this.paths.src,
+                root: this.root,
+                hashLength: naming.hashLength,
+                attrs: useEngine
             }
         });
 
-        return {test: /index\.html$/, use: htmlRuleArray}
+        return {test, use: htmlRuleArray}
     }
 
     /**
-     * 设置CSS解析规则
+     * 设置样式文件解析规则，css、scss、less 共用同一套处理流程：
+     * 绝对路径 @import 改写 -> 预处理器 -> 雪碧图 -> PostCSS -> css-loader -> 抽取到 css 文件
+     * 带 ?__inline 的样式文件由页面模板内联，不抽取
+     *
+     * @param lang                  css、scss 或 less
+     * @param options               {minimize, unit, lessLoaderOptions, browsers, postcssPlugins, cssModules, hot}
+     *                              unit 为 getUnitOptions 返回的单位转换配置，不传入时不转换
+     *                              browsers 为 autoprefixer 的目标浏览器，默认读取项目的 browserslist 配置
+     *                              postcssPlugins 为追加在 autoprefixer 之后的 PostCSS 插件
+     *                              cssModules 为 {test: 开启 CSS Modules 的文件正则, localIdentName}，不传入时不开启
+     *                              hot 为是否支持样式热更新
+     * @returns {{test: RegExp, oneOf: Array}}
+     * @private
      */
-    static setCssRule() {
-        return {
-            test: /\.css$/,
-            use: ['style-loader', 'css-loader']
+    setStyleRule(lang, options) {
+        options = options || {};
+
+        const test = new RegExp(`\\.${lang}$`);
+        // css-hot-loader 会在模块中写入时间戳，只在开发环境使用，保证生产环境相同的源码得到相同的 chunkhash
+        const use = (modules) => (options.hot ? ['css-hot-loader'] : []).concat(ExtractTextPlugin.extract({
+            fallback: 'style-loader',
+            use: this.getStyleLoaders(lang, options, modules)
+        }));
+
+        // 页面模板中 <link href="style.scss?__inline"> 内联的样式不抽取，require 得到 css 文本
+        const inline = {resourceQuery: /(^|[?&])__inline/, use: this.getStyleLoaders(lang, options, false)};
+
+        if (!options.cssModules) {
+            return {test, oneOf: [inline, {use: use(false)}]};
         }
+
+        // 匹配 cssModules.test 的文件开启 CSS Modules，其余文件按全局样式处理
+        return {
+            test,
+            oneOf: [
+                inline,
+                {test: options.cssModules.test, use: use(true)},
+                {use: use(false)}
+            ]
+        };
     }
 
     /**
-     * 设置Scss文件解析规则
-     *
-     * @param minimize              是否压缩Css
-     * @param usePx2rem             是否使用px2rem loader
-     * @param remUnit               rem单位，默认75
-     * @param remPrecision          rem精度, 默认8
-     * @returns {{test: RegExp, use: *}}
+     * 样式文件的 loader 列表
+     * @param lang                  css、scss 或 less
+     * @param options               同 setStyleRule
+     * @param modules               是否开启 CSS Modules
+     * @returns {Array}
      * @private
      */
-    static setScssRule(minimize, usePx2rem, remUnit, remPrecision) {
-        const cssRuleArray = [];
+    getStyleLoaders(lang, options, modules) {
+        const srcPath = this.paths.src;
+        const loaders = [];
 
-        // 加载Css loader, 判断是否开启压缩
-        const cssLoaderRule = {
-            loader: "css-loader",
+        // css 前缀，兼容低版本浏览器，之后执行项目自定义的 PostCSS 插件，最后把 px 转换为 rem 或 vw
+        const postcssPlugins = [autoprefixer({browsers: options.browsers || this.getBrowsers()})]
+            .concat(options.postcssPlugins || []);
+
+        if (options.unit) {
+            postcssPlugins.push(pxUnit(options.unit));
+        }
+
+        loaders.push({
+            loader: 'postcss-loader',
             options: {
-                alias: this.setAlias()
+                ident: 'postcss',
+                plugins: postcssPlugins
             }
-        };
-        if (minimize) {
-            cssLoaderRule.options = {
-                minimize: true
-            };
-        }
+        });
 
-        cssRuleArray.push(cssLoaderRule);
+        // 雪碧图loader
+        loaders.push({loader: 'sprites-loader'});
 
-        // 如果开启px2rem，则加载px2rem-loader
-        if (usePx2rem) {
-            cssRuleArray.push({
-                loader: "px2rem-loader",
+        if (lang === 'scss') {
+            loaders.push({
+                loader: 'sass-loader',
                 options: {
-                    remUnit: remUnit || 75,
-                    remPrecision: remPrecision || 8
+                    includePaths: [this.paths.src]
                 }
             });
+        } else if (lang === 'less') {
+            loaders.push({
+                loader: 'less-loader',
+                options: options.lessLoaderOptions || {}
+            });
         }
 
-        // css 前缀，兼容低版本浏览器
-        cssRuleArray.push({loader: "autoprefixer-loader" + "?"+ JSON.stringify({browsers:["last 2 version", "> 1%",  "iOS 7"]})});
+        // 支持绝对路径写法，比如 @import "/assets/css/mixin"; 以 src 为根目录，改写为相对当前文件的路径
+        // 使用固定的 loader 请求，相同的源码得到相同的模块标识和 chunkhash
+        loaders.push({
+            loader: require.resolve('./import-path-loader'),
+            options: {srcPath}
+        });
 
-        // 雪碧图loader
-        cssRuleArray.push({loader: "sprites-loader"});
+        // 加载Css loader, 判断是否开启压缩
+        const cssLoaderOptions = {
+            alias: this.setAlias(),
+            minimize: !!options.minimize,
+            // css 中 @import 的文件同样经过 css-loader 之后的 loader 处理
+            importLoaders: loaders.length
+        };
 
-        // 加载解析scss的sass-loader
-        cssRuleArray.push({
-            loader: "sass-loader",
-            options: {
-                includePaths: [path.join(projectRoot, "./src")]
-            }
-        });
+        if (modules) {
+            cssLoaderOptions.modules = true;
+            cssLoaderOptions.localIdentName = options.cssModules.localIdentName;
+        }
 
-        // 支持scss里面的绝对路径写法，比如 @import "/assets/css/mixin";
-        cssRuleArray.push(StringReplaceWebpackPlugin.replace({
-            replacements: [
-                {
-                    pattern: /@import\s*"(\/.*?)";/gmi,
-                    replacement: function (match) {
-                        const result = /@import\s*"(\/.*?)";/gmi.exec(match);
-                        let path = result && result[1];
-                        if (path && path[0] === '/') {
-                            path = path.substring(1);
-                        }
+        return [{loader: 'css-loader', options: cssLoaderOptions}].concat(loaders);
+    }
 
-                        return `@import "${path}";`;
-                    }
-                }
-            ]
+    /**
+     * 移动端单位转换配置，兼容 usePx2rem、remUnit、remPrecision
+     * 设计稿宽度按 page.json 中的 designWidth、unit.designWidths 中配置的目录、unit.designWidth 的顺序查找
+     * 未配置 unit.exclude 时不转换 node_modules 中的样式，配置后以配置为准
+     * @param opts                  builderOptions
+     * @param pages                 页面列表，读取 page.json 中的 designWidth
+     * @returns {{}|null}           未开启时返回 null
+     */
+    getUnitOptions(opts, pages) {
+        const unit = opts.unit || (opts.usePx2rem ? {mode: 'rem'} : null);
+
+        if (!unit) {
+            return null;
+        }
+
+        const designWidth = unit.designWidth || DEFAULT_DESIGN_WIDTH;
+        const designWidths = Object.keys(unit.designWidths || {}).map((dir) => ({
+            dir: path.resolve(this.root, dir),
+            width: unit.designWidths[dir]
         }));
 
+        (pages || [])
+            .filter((page) => page.config.designWidth)
+            .forEach((page) => designWidths.push({dir: page.dir, width: page.config.designWidth}));
+
         return {
-            test: /\.scss$/,
-            use: ['css-hot-loader'].concat(ExtractTextPlugin.extract({
-                fallback: 'style-loader',
-                use: cssRuleArray
-            }))
+            mode: unit.mode || 'rem',
+            designWidth,
+            remUnit: unit.remUnit || opts.remUnit || designWidth / 10,
+            precision: unit.precision || opts.remPrecision || 8,
+            minPixelValue: unit.minPixelValue || 0,
+            selectorBlackList: unit.selectorBlackList || [],
+            exclude: unit.exclude || DEFAULT_UNIT_EXCLUDE,
+            designWidths
         };
     }
 
     /**
-     * 设置Less文件解析规则
+     * 获取项目自定义的 PostCSS 插件
+     * 插件可以是插件对象，或者插件名称、[插件名称, 配置]，插件名称优先从项目中查找
+     * @param plugins               builderOptions.postcss.plugins
+     * @returns {Array}
+     */
+    getPostcssPlugins(plugins) {
+        return (plugins || []).map((plugin) => {
+            const name = Array.isArray(plugin) ? plugin[0] : plugin;
+
+            if (typeof name !== 'string') {
+                return plugin;
+            }
+
+            let resolved;
+            try {
+                resolved = require.resolve(name, {paths: [this.root]});
+            } catch (ex) {
+                resolved = require.resolve(name);
+            }
+
+            return require(resolved)(Array.isArray(plugin) ? plugin[1] : undefined);
+        });
+    }
+
+    /**
+     * 设置CSS解析规则
      *
      * @param minimize              是否压缩Css
-     * @param usePx2rem             是否使用px2rem loader
+     * @param usePx2rem             是否把px转换为rem
      * @param remUnit               rem单位，默认75
      * @param remPrecision          rem精度, 默认8
+     * @param hot                   是否支持样式热更新，默认 NODE_ENV 不为 production 时开启
      * @returns {{test: RegExp, use: *}}
      * @private
      */
-    static setLessRule(minimize, usePx2rem, remUnit, remPrecision, lessLoaderOptions) {
-        const cssRuleArray = [];
-
-        // 加载Css loader, 判断是否开启压缩
-        const cssLoaderRule = {
-            loader: "css-loader",
-            options: {
-                alias: this.setAlias()
-            }
-        };
-
-        if (minimize) {
-            cssLoaderRule.options = {
-                minimize: true
-            };
-        }
-
-        cssRuleArray.push(cssLoaderRule);
-
-        // 如果开启px2rem，则加载px2rem-loader
-        if (usePx2rem) {
-            cssRuleArray.push({
-                loader: "px2rem-loader",
-                options: {
-                remUnit: remUnit || 75,
-                remPrecision: remPrecision || 8
-                }
-            });
-        }
-
-        // css 前缀，兼容低版本浏览器
-        cssRuleArray.push({ loader: "autoprefixer-loader" + "?"+ JSON.stringify({browsers:["last 2 version", "> 1%",  "iOS 7"]}) });
-
-        // 雪碧图loader
-        cssRuleArray.push({ loader: "sprites-loader" });
+    setCssRule(minimize, usePx2rem, remUnit, remPrecision, hot) {
+        return this.setStyleRule('css', {
+            minimize,
+            unit: this.getUnitOptions({usePx2rem, remUnit, remPrecision}),
+            hot: getDefaultHot(hot)
+        });
+    }
 
-        // 加载解析less的less-loader
-        cssRuleArray.push({
-            loader: "less-loader",
-            options: lessLoaderOptions || {
-                includePaths: [path.join(projectRoot, "./src")]
-            }
+    /**
+     * 设置Scss文件解析规则
+     *
+     * @param minimize              是否压缩Css
+     * @param usePx2rem             是否把px转换为rem
+     * @param remUnit               rem单位，默认75
+     * @param remPrecision          rem精度, 默认8
+     * @param hot                   是否支持样式热更新，默认 NODE_ENV 不为 production 时开启
+     * @returns {{test: RegExp, use: *}}
+     * @private
+     */
+    setScssRule(minimize, usePx2rem, remUnit, remPrecision, hot) {
+        return this.setStyleRule('scss', {
+            minimize,
+            unit: this.getUnitOptions({usePx2rem, remUnit, remPrecision}),
+            hot: getDefaultHot(hot)
         });
+    }
 
-        return {
-            test: /\.less$/,
-            use: ['css-hot-loader'].concat(ExtractTextPlugin.extract({
-                fallback: "style-loader",
-                use: cssRuleArray
-            }))
-        };
+    /**
+     * 设置Less文件解析规则
+     *
+     * @param minimize              是否压缩Css
+     * @param usePx2rem             是否把px转换为rem
+     * @param remUnit               rem单位，默认75
+     * @param remPrecision          rem精度, 默认8
+     * @param lessLoaderOptions     less-loader 配置
+     * @param hot                   是否支持样式热更新，默认 NODE_ENV 不为 production 时开启
+     * @returns {{test: RegExp, use: *}}
+     * @private
+     */
+    setLessRule(minimize, usePx2rem, remUnit, remPrecision, lessLoaderOptions, hot) {
+        return this.setStyleRule('less', {
+            minimize,
+            unit: this.getUnitOptions({usePx2rem, remUnit, remPrecision}),
+            lessLoaderOptions,
+            hot: getDefaultHot(hot)
+        });
     }
 
     /**
@@ -398,8 +829,8 @@ module.exports = class BuilderCore {
      * @returns {{test: RegExp, loader: string}}
      * @private
      */
-    static setJsRule() {
-        return {test: /\.js$/, loader: 'happypack/loader', exclude: path.join(projectRoot, 'node_modules')};
+    setJsRule() {
+        return {test: /\.js$/, loader: 'happypack/loader', exclude: path.join(this.root, 'node_modules')};
     }
 
     /**
@@ -408,8 +839,8 @@ module.exports = class BuilderCore {
      * @returns {{test: RegExp, loader: string}}
      * @private
      */
-    static setTsRule() {
-        return {test: /\.ts(x?)$/, loader: 'happypack/loader?id=ts', exclude: path.join(projectRoot, 'node_modules')};
+    setTsRule() {
+        return {test: /\.ts(x?)$/, loader: 'happypack/loader?id=ts', exclude: path.join(this.root, 'node_modules')};
     }
 
     /**
@@ -419,7 +850,7 @@ module.exports = class BuilderCore {
      * @returns {HtmlStringReplace}
      * @private
      */
-    static setReplaceHtmlPlugin(regex, replaceWith) {
+    setReplaceHtmlPlugin(regex, replaceWith) {
         return new HtmlStringReplace({
             enable: true,
             patterns: [
@@ -440,7 +871,7 @@ module.exports = class BuilderCore {
      * @returns {ReplaceBundleStringPlugin}
      * @private
      */
-    static setReplaceBundlePlugin(regex, replaceWith) {
+    setReplaceBundlePlugin(regex, replaceWith) {
         return new ReplaceBundleStringPlugin([
             {
                 partten: regex,
@@ -451,72 +882,285 @@ module.exports = class BuilderCore {
         ]);
     }
 
+    /**
+     * 按 builderOptions.replace 中的规则表替换 html、js、css 中的文本
+     * @param replace               规则列表，或 {rules: 规则列表, dryRun: 只统计不替换}，规则见 ReplacePlugin
+     * @param env                   构建环境，配置环境（--env、FEFLOW_ENV）优先，用于选择规则中按环境区分的替换值
+     * @param target                差异化构建的版本，modern 或 legacy，不传入时为普通构建
+     * @param legacy                差异化构建共享的 legacy 构建结果
+     * @returns {ReplacePlugin}
+     * @private
+     */
+    setReplacePlugin(replace, env, target, legacy) {
+        const options = Array.isArray(replace) ? {rules: replace} : replace;
+
+        return new ReplacePlugin({
+            rules: options.rules,
+            dryRun: options.dryRun,
+            env,
+            configEnv: Config.getEnv(),
+            // legacy 的替换次数合并到 modern 构建中输出
+            report: target !== 'legacy',
+            target,
+            legacy
+        });
+    }
+
     /**
      * 设置提取Css资源的插件
      * @param useHash               是否开启图片资源hash
      * @param pathPrefix            CSS的前缀，不传入则为空
+     * @param naming                资源命名规则，同 getAssetName
      * @private
      */
-    static setExtractTextPlugin(useHash, pathPrefix) {
-        let filename = '';
-        let hash = '';
+    setExtractTextPlugin(useHash, pathPrefix, naming) {
+        return new ExtractTextPlugin(this.getAssetName('css', useHash, pathPrefix, naming));
+    }
 
-        if (pathPrefix) {
-            filename = pathPrefix + '/';
+    /**
+     * 不把React, react-dom打到公共包里
+     * @param externals             resolveExternals 返回的外部依赖列表，默认为 DEFAULT_EXTERNALS
+     * @param files                 需要注入的 html 文件，不传入则注入所有页面
+     * @param outputPath            复制到本地的外部依赖的输出目录，默认 vendor
+     *
+     * @private
+     */
+    setExternalPlugin(externals, files, outputPath) {
+        const newExternals = externals || DEFAULT_EXTERNALS;
+
+        return new HtmlWebpackExternalsPlugin({
+            // 插件会删除不认识的字段，只传入插件的配置项
+            externals: newExternals.map((external) => ({
+                module: external.module,
+                entry: external.entry,
+                global: external.global,
+                supplements: external.supplements,
+                append: external.append
+            })),
+            files,
+            outputPath
+        });
+    }
+
+    /**
+     * 解析外部依赖，内置登记的库按项目中安装的版本生成 CDN 地址或复制到本地
+     * @param externals             builderOptions.externals，每一项为登记的库名，如 'react'，
+     *                              或 {module, entry, global, version, local, cdn, append, supplements}
+     *                              未声明 entry 时使用登记的文件，开发环境使用未压缩的版本；entry 中可以使用 {name}、{version} 占位符
+     * @param options               {isProd, cdn, local, vendorPath, pages}
+     *                              cdn 为 CDN 地址模板，默认 //unpkg.com/{name}@{version}/{path}；local 为 true 时复制到 vendorPath 下
+     *                              pages 中 page.json 声明了、项目未声明的登记库只注入到声明它的页面
+     * @returns {Array}             [{module, entry, global, append, supplements, outputPath, pageOnly}]
+     */
+    resolveExternals(externals, options) {
+        options = options || {};
+
+        const declared = (externals || []).map((item) => (typeof item === 'string' ? {module: item} : item));
+        const modules = declared.map((item) => item.module);
+
+        (options.pages || []).forEach((page) => {
+            (page.config.externals || []).forEach((name) => {
+                if (modules.indexOf(name) === -1 && EXTERNALS_REGISTRY[name]) {
+                    modules.push(name);
+                    declared.push({module: name, pageOnly: true});
+                }
+            });
+        });
+
+        return declared.map((item) => {
+            const registered = EXTERNALS_REGISTRY[item.module];
+
+            if (!item.entry && !registered) {
+                throw new Error(
+                    `externals 中的 ${item.module} 未声明 entry，且不是内置登记的库: ${Object.keys(EXTERNALS_REGISTRY).join('、')}`
+                );
+            }
+
+            const needsVersion = !item.entry || /\{version\}/.test(JSON.stringify(item.entry));
+            const version = item.version || (needsVersion ? getInstalledVersion(this.root, item.module) : undefined);
+
+            if (needsVersion && !version) {
+                throw new Error(`无法确定 externals 中 ${item.module} 的版本，请先安装到项目中或声明 version`);
+            }
+
+            const local = item.local !== undefined ? item.local : !!options.local;
+            const data = {name: item.module, version};
+            let entry;
+
+            if (item.entry) {
+                entry = JSON.parse(JSON.stringify(item.entry), (key, value) => {
+                    return typeof value === 'string' ? formatUrl(value, Object.assign({path: '{path}'}, data)) : value;
+                });
+            } else {
+                const file = getRegistryPath(item.module, version, options.isProd);
+                entry = local
+                    ? file
+                    : formatUrl(item.cdn || options.cdn || DEFAULT_EXTERNALS_CDN, Object.assign({path: file}, data));
+            }
+
+            const isUrl = [].concat(entry).every((value) => /^(https?:)?\/\//.test(typeof value === 'string' ? value : value.path));
+
+            return {
+                module: item.module,
+                entry,
+                global: item.global || (registered && registered.global),
+                append: item.append,
+                supplements: item.supplements,
+                // 本地文件按版本号分目录，升级版本后地址随之变化
+                outputPath: isUrl ? undefined : `${options.vendorPath || 'vendor'}/${version || 'local'}`,
+                pageOnly: !!item.pageOnly
+            };
+        });
+    }
+
+    /**
+     * 按页面设置外部依赖，page.json 中声明了 externals 的页面只注入声明的模块
+     * @param externals             resolveExternals 返回的外部依赖列表
+     * @param pages                 setMultiplePage 返回的页面列表
+     * @returns {Array}
+     * @private
+     */
+    setPageExternalPlugins(externals, pages) {
+        const filesOf = (external) => pages
+            .filter((page) => page.config.externals
+                ? page.config.externals.indexOf(external.module) !== -1
+                : !external.pageOnly)
+            .map((page) => page.filename);
+        const outputPath = externals[0] && externals[0].outputPath;
+
+        if (externals.every((external) => filesOf(external).length === pages.length && external.outputPath === outputPath)) {
+            return [this.setExternalPlugin(externals, undefined, outputPath)];
         }
 
-        if (useHash) {
-            hash = '_[contenthash:8]';
+        // 每个模块单独一个插件；后注册插件的资源会插入到前面，所以非 append 的模块倒序注册以保持声明顺序
+        const prepend = externals.filter((external) => !external.append).reverse();
+        const append = externals.filter((external) => external.append);
+
+        return prepend.concat(append)
+            .map((external) => ({external, files: filesOf(external)}))
+            .filter((item) => item.files.length)
+            .map((item) => this.setExternalPlugin([item.external], item.files, item.external.outputPath));
+    }
+
+    /**
+     * 页面模板文件名列表，未配置 templateFiles 时按模板引擎取默认值
+     * html 为 index.html，ejs 为 index.ejs，handlebars 为 index.hbs、index.handlebars
+     * @param options             builderOptions.pages
+     * @returns {Array}
+     */
+    getTemplateFiles(options) {
+        options = options || {};
+
+        if (options.templateFiles) {
+            return options.templateFiles;
         }
 
-        return new ExtractTextPlugin(`${filename}[name]${hash}.css`);
+        return options.engine && options.engine !== 'html'
+            ? TemplateEnginePlugin.getEngine(options.engine).templateFiles
+            : DEFAULT_TEMPLATE_FILES;
     }
 
     /**
-     * 不把React, react-dom打到公共包里
-     *
+     * 查找 src/pages 下的所有页面目录，支持多级目录
+     * 含有模板文件的目录即为一个页面，如 src/pages/activity/spring/index.html
+     * @param options             {templateFiles: 模板文件名列表, engine: 模板引擎}，同 getTemplateFiles
+     * @returns {Array}           页面目录列表，可直接作为 setMultiplePage 的 entries
+     */
+    getPageEntries(options) {
+        const templateFiles = this.getTemplateFiles(options);
+        const entries = [];
+
+        const walk = (dir) => {
+            fs.readdirSync(dir).forEach((name) => {
+                const pageDir = path.join(dir, name);
+
+                if (name === 'node_modules' || !fs.statSync(pageDir).isDirectory()) {
+                    return;
+                }
+
+                if (templateFiles.some((file) => fs.existsSync(path.join(pageDir, file)))) {
+                    entries.push(pageDir);
+                }
+                walk(pageDir);
+            });
+        };
+
+        if (fs.existsSync(path.join(this.paths.src, 'pages'))) {
+            walk(path.join(this.paths.src, 'pages'));
+        }
+
+        return entries.sort();
+    }
+
+    /**
+     * 解析页面目录，得到页面名、入口文件、模板文件和 page.json 中的页面配置
+     * @param pageDir             页面目录
+     * @param options             {entryFiles: 入口文件名列表, templateFiles: 模板文件名列表}
+     * @returns {{name: string, dir: string, entry: string, template: string, config: {}}}
      * @private
      */
-    static setExternalPlugin(externals) {
-        const newExternals = externals || [
-            {
-                module: 'react',
-                entry: '//11.url.cn/now/lib/15.1.0/react-with-addons.min.js?_bid=3123',
-                global: 'React'
-            }, {
-                module: 'react-dom',
-                entry: '//11.url.cn/now/lib/15.1.0/react-dom.min.js?_bid=3123',
-                global: 'ReactDOM'
+    resolvePage(pageDir, options) {
+        const entryFiles = (options && options.entryFiles) || DEFAULT_ENTRY_FILES;
+        const templateFiles = this.getTemplateFiles(options);
+        const pagesDir = path.join(this.paths.src, 'pages');
+        const relative = path.relative(pagesDir, pageDir);
+
+        // 页面名为相对 src/pages 的路径，不在 src/pages 下的目录取目录名
+        const name = (relative && relative.indexOf('..') !== 0 ? relative : path.basename(pageDir))
+            .split(path.sep)
+            .join('/');
+        const find = (files) => files
+            .map((file) => path.join(pageDir, file))
+            .filter((file) => fs.existsSync(file))[0];
+        const configFile = path.join(pageDir, 'page.json');
+        let config = {};
+
+        if (fs.existsSync(configFile)) {
+            try {
+                config = JSON.parse(fs.readFileSync(configFile, 'utf-8'));
+            } catch (ex) {
+                throw new Error(`${configFile}: 解析失败，请确保 page.json 是合法的 JSON (${ex.message})`);
             }
-        ];
+        }
 
-        return new HtmlWebpackExternalsPlugin({externals: newExternals});
+        return {
+            name,
+            dir: pageDir,
+            entry: find(entryFiles),
+            template: find(templateFiles) || path.join(pageDir, templateFiles[0]),
+            config
+        };
     }
 
     /**
      * 多页面打包
+     * 页面目录下可选的 page.json 可覆盖单个页面的配置：
+     * {title, chunks: 额外引入的 chunk, inject, minify, externals: 页面使用的 externals 模块名，也可以是项目未声明的内置登记库}
+     * 使用 EJS、Handlebars 时还可以配置 {layout: 使用的布局，为 false 时不使用, data: 模板数据}
+     *
      * @param entries             glob的entry路径
      * @param minifyHtml          是否压缩html
      * @param inject              是否自动注入打包出来的js和css
      * @param inlineCSS           是否inline打包出来的css
      * @param assetsPrefix        Css, Js, img的路径前缀
      * @param htmlPrefix          Html的路径前缀
-     * @returns {{newEntry: {}, htmlWebpackPlugins: Array}}
+     * @param options             {entryFiles: 入口文件名列表, templateFiles: 模板文件名列表}
+     * @returns {{newEntry: {}, htmlWebpackPlugins: Array, pages: Array}}
      * @private
      */
-    static setMultiplePage(entries, minifyHtml, inject, inlineCSS, assetsPrefix, htmlPrefix) {
+    setMultiplePage(entries, minifyHtml, inject, inlineCSS, assetsPrefix, htmlPrefix, options) {
         const newEntry = {};
         const htmlWebpackPlugins = [];
+        const pages = [];
 
         Object
             .keys(entries)
             .map((index) => {
-                const entry = entries[index];
-                const entryFile = `${entry}/init.js`;
+                const page = this.resolvePage(entries[index], options);
+                const pageName = page.name;
+                const pageConfig = page.config;
                 // 支持 init.js 文件不是必须存在的场景，纯html
-                const isEntryFileExists = fs.existsSync(entryFile);
-                const match = entry.match(/\/pages\/(.*)/);
-                const pageName = match && match[1];
+                const isEntryFileExists = !!page.entry;
 
                 let filename = '';
                 if (htmlPrefix) {
@@ -524,32 +1168,46 @@ module.exports = class BuilderCore {
                 }
 
                 if (isEntryFileExists) {
-                    newEntry[pageName] = entryFile;
+                    newEntry[pageName] = page.entry;
+                }
+
+                let minify = pageConfig.minify === undefined ? minifyHtml : pageConfig.minify;
+                if (minify === true) {
+                    minify = {
+                        html5: true,
+                        collapseWhitespace: true,
+                        preserveLineBreaks: false,
+                        minifyCSS: true,
+                        minifyJS: true,
+                        removeComments: false
+                    };
                 }
 
-                htmlWebpackPlugins.push(new HtmlWebpackPlugin({
+                page.filename = `${filename}${pageName}.html`;
+
+                page.plugin = new HtmlWebpackPlugin({
+                    title: pageConfig.title,
                     inlineSource: inlineCSS
                         ? '\\.css$'
                         : undefined,
-                    template: path.join(projectRoot, `src/pages/${pageName}/index.html`),
-                    filename: `${filename}${pageName}.html`,
-                    chunks: [pageName],
+                    template: page.template,
+                    filename: page.filename,
+                    chunks: (pageConfig.chunks || []).concat(pageName),
+                    // 按 chunks 中声明的顺序加载，chunks 可能在编译过程中被 SharedChunksPlugin 修改
+                    chunksSortMode: (a, b) => {
+                        const chunks = page.plugin.options.chunks;
+                        return chunks.indexOf(a.names[0]) - chunks.indexOf(b.names[0]);
+                    },
                     assetsPrefix: `${assetsPrefix}/`,
-                    inject: inject && isEntryFileExists,
-                    minify: minifyHtml
-                        ? {
-                            html5: true,
-                            collapseWhitespace: true,
-                            preserveLineBreaks: false,
-                            minifyCSS: true,
-                            minifyJS: true,
-                            removeComments: false
-                        }
-                        : false
-                }));
+                    inject: isEntryFileExists && (pageConfig.inject === undefined ? inject : pageConfig.inject),
+                    minify: minify || false
+                });
+
+                pages.push(page);
+                htmlWebpackPlugins.push(page.plugin);
             });
 
-        return {newEntry, htmlWebpackPlugins};
+        return {newEntry, htmlWebpackPlugins, pages};
     }
 
     /**
@@ -557,18 +1215,18 @@ module.exports = class BuilderCore {
      * @returns {SriPlugin}
      * @private
      */
-    static setSriPlugin() {
+    setSriPlugin() {
         return new SriPlugin({
-            hashFuncNames: ['sha256', 'sha384']
+            hashFuncNames: SRI_HASH_FUNCS
         });
     }
 
     /**
         CSS Treeshaking 功能
      */
-    static setCssTreeShaking() {
+    setCssTreeShaking() {
         return new PurgecssPlugin({
-            paths: glob.sync(`${PATHS.src}/**/*`,  { nodir: true }),
+            paths: glob.sync(`${this.paths.src}/**/*`,  { nodir: true }),
         });
     }
 
@@ -577,72 +1235,198 @@ module.exports = class BuilderCore {
      * @param assetsPrefix            CSS、Img、JS等打包路径前缀
      * @param htmlPrefix              Html打包路径前缀
      * @param cdnUrl                  CDN路径
-     * @param serverUrl               now.qq.com路径
+     * @param serverUrl               页面域名下的路径
      * @param domain                  域名
      * @param cdn                     cdn路径
      * @param product                 cdn对应的产品
+     * @param outDir                  输出目录，默认 public
+     * @param jsQuery                 业务 js 文件名后的查询参数，离线包中去掉
+     * @param offline                 builderOptions.offline 为对象时的配置，{version, base, rules, integrity, verify}
+     *                                version 为指定的离线包版本号，默认按文件内容生成；base 为上一个版本的离线包，用于生成增量包
+     *                                rules 为按顺序执行的改写规则，见 createOfflineRules；
+     *                                integrity 为 recompute 时按改写后的内容重新计算 integrity，否则去掉 integrity；
+     *                                verify 为 false 时不检查离线包中剩余的 CDN 引用
      * @private
      */
-    static setOffline(assetsPrefix, htmlPrefix, cdnUrl, serverUrl, domain, cdn, product, outDir) {
+    setOffline(assetsPrefix, htmlPrefix, cdnUrl, serverUrl, domain, cdn, product, outDir, jsQuery, offline) {
         outDir = outDir || 'public'
+        offline = offline || {};
 
-        return new OfflineWebpackPlugin({
-            path: path.join(projectRoot, `./${outDir}/offline`),
+        const recomputeIntegrity = offline.integrity === 'recompute';
+        const rules = offline.rules || DEFAULT_OFFLINE_RULES.filter((name) => !recomputeIntegrity || name !== 'integrity');
+
+        return new OfflinePackagePlugin({
+            path: path.join(this.root, `./${outDir}/offline`),
             filename: 'offline.zip',
             pathMapper: (assetPath) => {
                 if (assetPath.indexOf(htmlPrefix) !== -1) {
-                    // 所有资源都改成 now.qq.com 的域名， 防止跨域问题
+                    // 所有资源都改成页面所在的域名， 防止跨域问题
                     assetPath = assetPath.replace(htmlPrefix, '');
                 } else if (assetPath.indexOf(assetsPrefix) !== -1) {
                     assetPath = assetPath.replace(assetsPrefix, '');
                 }
                 return path.join(serverUrl.replace('//', ''), assetPath);
             },
-            beforeAddBuffer(source, assetPath) {
-                if (assetPath.indexOf(htmlPrefix) !== -1) {
-                    /**
-                     * 此时source为html源码，其中要进行正则替换的资源示例：
-                     <script type="text/javascript" src="//now8.gtimg.com/now/activity/c-atmosphere-official/channel_ea6d9f07.js?_bid=152" integrity="sha256-b7P2jrSh+4DfxGfgMXqZRM8OKGqxjr6sumQjYzuFWaw= sha384-kgN7re9GXQl7lTmdTkivFy03nBUNbEsLD3SLPebtic+jotax1+ydg5YyaHZu3Nj2" crossorigin="anonymous" onerror="window.loadScriptError&&loadScriptError.call(this, event)"></script>
-                     */
-                    // CDN 资源的路径修改，直接使用离线包内的资源
-                    source = source.replace(new RegExp(cdnUrl, 'g'), serverUrl);
-                    // 去掉crossorigin="annoymous"，因为资源的域名已在上面替换成同域
-                    // 必须限定在script标签内，否则inline到html中的源码如果被匹配到也会被替换，可能造成js执行错误
-                    // 如@tencent/aegis-web-sdk@^1.25.11打包后的源码中：i.crossorigin="anonymous"，被替换后只剩"i."
-                    source = source.replace(/(?<=<script.*) crossorigin="anonymous"/g, '');
-                    // 去掉 业务 js 文件的 ?_bid=152
-                    source = source.replace(/(?<=<script.*src=".+\.js)\?_bid=152/g, '');
-                    // 去掉业务 js 与 css 上的 integrity 属性， 防止出现离线包因为sri导致js\css加载失败的情况
-                    source = source.replace(/(?<=<(?:script|link).*) integrity=".+?"/g, '');
-                    // 注入离线包的版本号. pack
-                    const inject = {
-                        version: Date.now()
-                    };
-                    source = source.replace(/(<script)/, '<script>var pack = ' + JSON.stringify(inject) + '</script>$1');
-                } else {
-                    // js、css 等文件内的 CDN 资源路径修改，直接使用离线包内的资源
-                    source = source.replace(new RegExp(cdnUrl, 'g'), serverUrl);
+            rules: createOfflineRules(rules, {cdnUrl, serverUrl, jsQuery}),
+            integrity: recomputeIntegrity ? SRI_HASH_FUNCS : false,
+            inject(source, assetPath, version) {
+                if (!/\.html$/.test(assetPath)) {
+                    return source;
                 }
 
-                return source;
-            }
+                // 注入离线包的版本号. pack
+                const inject = {
+                    version
+                };
+                return source.replace(/(<script)/, '<script>var pack = ' + JSON.stringify(inject) + '</script>$1');
+            },
+            verify: offline.verify !== false && cdn ? [`//${cdn}/`] : [],
+            version: offline.version,
+            base: offline.base && path.resolve(this.root, offline.base)
         })
     }
 
+    /**
+     * 使用 EJS、Handlebars 渲染页面模板
+     * @param opts                    builderOptions，模板中可以通过 options 访问
+     * @param env                     构建环境
+     * @param pages                   setMultiplePage 返回的页面列表
+     * @param publicPath              资源的访问路径
+     * @param legacy                  差异化构建共享的 legacy 构建结果
+     * @returns {TemplateEnginePlugin}
+     * @private
+     */
+    setTemplateEnginePlugin(opts, env, pages, publicPath, legacy) {
+        const pagesOptions = opts.pages;
+
+        return new TemplateEnginePlugin({
+            engine: pagesOptions.engine,
+            pages,
+            env,
+            builderOptions: opts,
+            publicPath,
+            legacy,
+            root: this.root,
+            srcPath: this.paths.src,
+            layoutDir: path.resolve(this.root, pagesOptions.layoutDir || 'src/layouts'),
+            partialDir: path.resolve(this.root, pagesOptions.partialDir || 'src/partials'),
+            layout: pagesOptions.layout,
+            data: pagesOptions.data
+        });
+    }
+
+    /**
+     * 生成 service worker 和 web app manifest，并在页面中注入注册代码
+     * @param serviceWorker           builderOptions.serviceWorker，为 true 时使用默认配置
+     *                                {mode, cacheName, runtimeCaching, manifest}，mode 为 project 或 page，默认 project
+     * @param pages                   setMultiplePage 返回的页面列表
+     * @param htmlPrefix              Html打包路径前缀
+     * @param publicPath              资源的访问路径
+     * @param externals               resolveExternals 返回的外部依赖列表，其中的 CDN 地址默认按 cacheFirst 缓存
+     * @param legacy                  差异化构建共享的 legacy 构建结果
+     * @returns {ServiceWorkerPlugin}
+     * @private
+     */
+    setServiceWorker(serviceWorker, pages, htmlPrefix, publicPath, externals, legacy) {
+        const options = serviceWorker === true ? {} : serviceWorker;
+        const externalUrls = [];
+
+        (externals || []).forEach((external) => {
+            [].concat(external.entry).forEach((entry) => {
+                const url = typeof entry === 'string' ? entry : entry && entry.path;
+
+                if (/^(https?:)?\/\//.test(url || '')) {
+                    externalUrls.push(url);
+                }
+            });
+        });
+
+        return new ServiceWorkerPlugin(Object.assign({}, options, {
+            pages,
+            htmlPrefix,
+            publicPath,
+            externals: externalUrls,
+            legacy
+        }));
+    }
+
     /**
      * Code split, 提取出公共js文件，避免每个页面重复打包
      */
-    static setCommonsChunkPlugin() {
+    setCommonsChunkPlugin() {
         return new webpack.optimize.CommonsChunkPlugin({
             name: 'common'
         });
     }
 
+    /**
+     * Code split 策略，公共 chunk 会自动注入到依赖它的页面 html 中
+     * vendor   node_modules 中的模块
+     * common   被 minChunks 个及以上页面引用的模块
+     * manifest webpack runtime
+     * page.json 中配置 splitChunks: false 的页面不参与抽取
+     *
+     * @param splitChunks           {vendor: boolean, common: boolean, minChunks: number, runtime: boolean}
+     *                              为 true 时全部开启，minChunks 默认 2
+     * @param pages                 setMultiplePage 返回的页面列表
+     * @returns {Array}
+     * @private
+     */
+    setSplitChunks(splitChunks, pages) {
+        const options = splitChunks === true ? {vendor: true, common: true, runtime: true} : splitChunks;
+        const entryPages = pages.filter((page) => page.entry);
+        const chunks = entryPages
+            .filter((page) => page.config.splitChunks !== false)
+            .map((page) => page.name);
+        const sharedChunks = [];
+        const plugins = [];
+
+        if (!chunks.length) {
+            return plugins;
+        }
+
+        if (options.vendor) {
+            sharedChunks.push('vendor');
+            plugins.push(new webpack.optimize.CommonsChunkPlugin({
+                name: 'vendor',
+                chunks,
+                minChunks: (module) => !!module.context && module.context.indexOf('node_modules') !== -1
+            }));
+        }
+
+        if (options.common) {
+            sharedChunks.push('common');
+            plugins.push(new webpack.optimize.CommonsChunkPlugin({
+                name: 'common',
+                chunks,
+                minChunks: options.minChunks || 2
+            }));
+        }
+
+        if (options.runtime) {
+            plugins.push(new webpack.optimize.CommonsChunkPlugin({
+                name: 'manifest',
+                chunks: sharedChunks.length ? sharedChunks.slice() : chunks,
+                minChunks: Infinity
+            }));
+            sharedChunks.unshift('manifest');
+        }
+
+        const sharedChunksPlugin = new SharedChunksPlugin({
+            pages: entryPages
+                .filter((page) => chunks.indexOf(page.name) !== -1)
+                .map((page) => ({name: page.name, chunks: page.config.chunks, plugin: page.plugin})),
+            sharedChunks
+        });
+
+        return [sharedChunksPlugin].concat(plugins);
+    }
+
     /**
      * 设置NODE_ENV，否则 线上会报 warning.
      * https://stackoverflow.com/questions/30030031
      */
-    static setDefinePlugin(env) {
+    setDefinePlugin(env) {
         return new webpack.DefinePlugin({
             'process.env.NODE_ENV': JSON.stringify(env)
         });
@@ -651,7 +1435,7 @@ module.exports = class BuilderCore {
     /**
      * webpack进程默认不能关掉，通过插件的方式在生产环境构建时抛出异常，避免发布上线
      */
-    static setDoneErrorPlugin() {
+    setDoneErrorPlugin() {
         return function() {
             this.plugin('done', (stats) => {
                 if (stats.compilation.errors && stats.compilation.errors.length && process.argv.indexOf('--watch') == -1)
@@ -669,9 +1453,9 @@ module.exports = class BuilderCore {
      * @returns {{contentBase: string, inline: boolean, historyApiFallback: boolean, disableHostCheck: boolean, port: *}}
      * @private
      */
-    static setDevServer(port) {
+    setDevServer(port) {
         return {
-            contentBase: path.join(projectRoot, './src'),
+            contentBase: path.join(this.root, './src'),
             inline: true,
             historyApiFallback: false,
             disableHostCheck: true,
@@ -686,10 +1470,10 @@ module.exports = class BuilderCore {
      *
      * @private
      */
-    static setAlias(alias) {
+    setAlias(alias) {
         const aliasObject = {};
 
-        listDir(path.join(projectRoot, './src'), 1).forEach((dir) => {
+        listDir(path.join(this.root, './src'), 1).forEach((dir) => {
             const {name, dirPath} = dir;
 
             aliasObject['/' + name] = dirPath;
@@ -703,11 +1487,51 @@ module.exports = class BuilderCore {
         return merge(alias, aliasObject);
     }
 
+    /**
+     * 构建前清空输出目录
+     * @param outDir               输出目录，默认 public
+     * @returns {CleanWebpackPlugin}
+     * @private
+     */
+    setCleanPlugin(outDir) {
+        return new CleanWebpackPlugin([outDir || 'public'], {
+            root: this.root,
+            verbose: false
+        });
+    }
+
+    /**
+     * 压缩 js 代码
+     * @param modern                是否为差异化构建的 modern 版本，使用支持 ES2015+ 语法的 uglify-es
+     * @returns {UglifyJsPlugin}
+     * @private
+     */
+    setUglifyJsPlugin(modern) {
+        if (modern) {
+            return new UglifyEsPlugin({
+                uglifyOptions: {
+                    ecma: 6,
+                    compress: {
+                        warnings: false
+                    }
+                },
+                sourceMap: false
+            });
+        }
+
+        return new webpack.optimize.UglifyJsPlugin({
+            compress: {
+                warnings: false
+            },
+            sourceMap: false
+        });
+    }
+
     /**
      * 设置Loader的path查找的目录
      * 好处是：把构建器放在 ./feflow 目录下，多个项目可以公用一个构建器，便于构建器的增量更新和统一升级
      */
-    static setResolveLoaderPath(packageName, runtime) {
+    setResolveLoaderPath(packageName, runtime) {
         const jbRuntime = runtime || 'runtime-now-6';
         const resolveLoaderPath = path.join(osenv.home(), './.feflow/node_modules');
         const globalStyleResolveLoaderPath = path.join(osenv.home(), `./.feflow/node_modules/${ packageName }/node_modules`);
@@ -722,4 +1546,256 @@ module.exports = class BuilderCore {
             ]
         };
     }
+
+    /**
+     * 根据 feflow 配置中的 builderOptions 生成完整的 webpack 配置
+     * 开发环境不带 hash 和路径前缀，生产环境按 moduleName/bizName 目录输出
+     * 生产环境开启 modern 时返回 legacy 和 modern 两份配置，页面通过 type="module" 和 nomodule 分别加载
+     *
+     * @param builderOptions        feflow.json 或 feflow.js 中的 builderOptions
+     * @param options               {env: 'development' | 'production', exitOnError: boolean}
+     *                              env 默认 development；exitOnError 默认 true，生产环境构建出错时退出进程
+     * @returns {{}|Array}          可直接交给 webpack 运行的配置
+     */
+    createConfig(builderOptions, options) {
+        const opts = builderOptions || {};
+        const env = (options && options.env) || 'development';
+        const isProd = env === 'production';
+        const outDir = opts.outDir || 'public';
+        // 差异化构建的版本，由开启 modern 时的内部调用传入
+        const target = options && options.target;
+        const isLegacy = target === 'legacy';
+        const isModern = target === 'modern';
+
+        if (isProd && opts.modern && !target) {
+            // 两份配置共享 legacy 构建结果，modern 构建依赖 legacy 构建先完成
+            const legacy = {chunks: {}, assets: {}};
+
+            return ['legacy', 'modern'].map((name) => this.createConfig(
+                opts, Object.assign({}, options, {target: name, legacy})
+            ));
+        }
+
+        // 业务路径，如 now/activity
+        const bizPath = [opts.moduleName, opts.bizName].filter(Boolean).join('/');
+        // Css、Js、img 的路径前缀与 Html 的路径前缀
+        const assetsPrefix = isProd ? bizPath : '';
+        const htmlPrefix = isProd ? bizPath : '';
+        // 资源的 CDN 地址与页面所在域名地址
+        const cdnRoot = '//' + [opts.cdn, opts.product].filter(Boolean).join('/');
+        const cdnUrl = [cdnRoot, bizPath].filter(Boolean).join('/');
+        const serverUrl = '//' + [opts.domain, bizPath].filter(Boolean).join('/');
+        const publicPath = isProd && opts.cdn ? `${cdnRoot}/` : '/';
+
+        const useHash = isProd && opts.useHash !== false;
+        const minifyHTML = isProd && opts.minifyHTML !== false;
+        const minifyCSS = isProd && opts.minifyCSS !== false;
+        const minifyJS = isProd && opts.minifyJS !== false;
+        const inject = opts.inject !== false;
+        const images = opts.images || {};
+        const jsQuery = this.getJsQuery(opts.assets);
+
+        const entries = this.getPageEntries(opts.pages);
+        const {newEntry, htmlWebpackPlugins, pages} = this.setMultiplePage(
+            entries, minifyHTML, inject, opts.inlineCSS, assetsPrefix, htmlPrefix, opts.pages
+        );
+        // 存在 init.ts(x) 入口的页面时自动开启 TypeScript 支持
+        const useTs = opts.useTs || !!opts.typescript || pages.some((page) => /\.tsx?$/.test(page.entry || ''));
+        const tsOptions = opts.typescript || {};
+        const tsConfigFile = useTs ? this.getTsConfigFile(tsOptions.configFile) : undefined;
+
+        const externalsOptions = opts.externalsOptions || {};
+        const externals = this.resolveExternals(opts.externals, {
+            isProd,
+            cdn: externalsOptions.cdn,
+            local: externalsOptions.local,
+            vendorPath: [assetsPrefix, 'vendor'].filter(Boolean).join('/'),
+            pages
+        });
+
+        // 项目的目标浏览器，babel 和 autoprefixer 共用；css 由 modern 和 legacy 共用，始终按项目的目标浏览器处理
+        const browsers = this.getBrowsers(opts.browsers);
+        const cssModules = opts.cssModules && Object.assign({
+            test: DEFAULT_CSS_MODULES_TEST,
+            localIdentName: isProd ? '[hash:base64:8]' : '[path][name]__[local]'
+        }, opts.cssModules);
+
+        if (cssModules && typeof cssModules.test === 'string') {
+            cssModules.test = new RegExp(cssModules.test);
+        }
+
+        const styleOptions = {
+            minimize: minifyCSS,
+            unit: this.getUnitOptions(opts, pages),
+            lessLoaderOptions: opts.lessLoaderOptions,
+            browsers,
+            postcssPlugins: this.getPostcssPlugins(opts.postcss && opts.postcss.plugins),
+            cssModules,
+            hot: !isProd
+        };
+
+        const rules = [
+            this.setJsRule(),
+            this.setHtmlRule(this.getTemplateFiles(opts.pages), opts.assets, opts.pages && opts.pages.engine),
+            this.setImgRule(useHash, assetsPrefix, opts.akbid, images, opts.assets),
+            this.setMediaRule(useHash, assetsPrefix, opts.assets),
+            this.setFontRule(useHash, assetsPrefix, opts.assets),
+            this.setStyleRule('css', styleOptions),
+            this.setStyleRule('scss', styleOptions),
+            this.setStyleRule('less', styleOptions)
+        ];
+
+        const plugins = [
+            this.setDefinePlugin(env),
+            this.setHappyPack(
+                opts.jsLoader,
+                opts.useTreeShaking,
+                Object.assign({targets: browsers}, opts.babel, isModern ? {targets: MODERN_BROWSERS} : {})
+            ),
+            this.setExtractTextPlugin(useHash, assetsPrefix, opts.assets)
+        ];
+
+        // legacy 构建只输出 js，页面由 modern 构建生成
+        if (!isLegacy) {
+            htmlWebpackPlugins.forEach((plugin) => plugins.push(plugin));
+
+            if (opts.pages && opts.pages.engine && opts.pages.engine !== 'html') {
+                plugins.push(this.setTemplateEnginePlugin(opts, env, pages, publicPath, options && options.legacy));
+            }
+        }
+
+        if (opts.splitChunks) {
+            this.setSplitChunks(opts.splitChunks, pages)
+                .filter((plugin) => !isLegacy || !(plugin instanceof SharedChunksPlugin))
+                .forEach((plugin) => plugins.push(plugin));
+        }
+
+        if (target) {
+            plugins.push(new DifferentialPlugin({target, legacy: options.legacy}));
+        }
+
+        if (useTs) {
+            rules.push(this.setTsRule());
+            plugins.push(this.setTsHappyPack(tsConfigFile));
+
+            // 差异化构建时类型检查只需要在 modern 构建中做一次
+            if (tsConfigFile && !tsOptions.transpileOnly && !isLegacy) {
+                plugins.push(this.setTsCheckerPlugin(tsConfigFile));
+            }
+        }
+
+        if (opts.inlineCSS && !isLegacy) {
+            plugins.push(new HtmlWebpackInlineSourcePlugin());
+        }
+
+        if (externals.length && !isLegacy) {
+            this.setPageExternalPlugins(externals, pages).forEach((plugin) => plugins.push(plugin));
+        }
+
+        // 需要在页面插件之后注册，才能在 emit 时统计到页面中的替换
+        if (!isEmpty(opts.replace)) {
+            plugins.push(this.setReplacePlugin(opts.replace, env, target, options && options.legacy));
+        }
+
+        if (isProd) {
+            if (!isModern) {
+                plugins.unshift(this.setCleanPlugin(outDir));
+            }
+
+            if (minifyJS) {
+                plugins.push(this.setUglifyJsPlugin(isModern));
+            }
+            if (opts.useCssTreeShaking && !isLegacy) {
+                plugins.push(this.setCssTreeShaking());
+            }
+
+            plugins.push(this.setSriPlugin());
+
+            if (!options || options.exitOnError !== false) {
+                plugins.push(this.setDoneErrorPlugin());
+            }
+
+            // 需要在离线包之前注册，service worker 才会打进离线包
+            if (opts.serviceWorker && !isLegacy) {
+                plugins.push(this.setServiceWorker(
+                    opts.serviceWorker, pages, htmlPrefix, publicPath, externals, options && options.legacy
+                ));
+            }
+
+            if (opts.offline && !isLegacy) {
+                plugins.push(this.setOffline(
+                    assetsPrefix, htmlPrefix, cdnUrl, serverUrl, opts.domain, opts.cdn, opts.product, outDir, jsQuery,
+                    typeof opts.offline === 'object' ? opts.offline : {}
+                ));
+            }
+
+            // legacy 构建的图片不会输出，只需要在 modern 构建中压缩
+            // 压缩在 optimize-assets 阶段，与注册顺序无关；image-report.json 在 emit 阶段生成，注册在离线包之后才不会打进离线包
+            if (images.optimize !== false && !isLegacy) {
+                plugins.push(new ImageOptimizePlugin({
+                    lossy: images.lossy,
+                    quality: images.quality,
+                    webp: images.webp,
+                    report: images.report
+                }));
+            }
+        }
+
+        // 需要在离线包之后注册，才能记录离线包文件；开发环境同样生成，页面地址为 dev server 的根目录
+        if (opts.assetManifest !== false && !isLegacy) {
+            plugins.push(new AssetManifestPlugin({
+                pages,
+                publicPath,
+                htmlPublicPath: isProd && opts.domain ? `//${opts.domain}/` : '/',
+                legacy: options && options.legacy,
+                hashFuncNames: SRI_HASH_FUNCS
+            }));
+        }
+
+        const resolveLoader = this.setResolveLoaderPath(opts.packageName, opts.runtime);
+        // 兜底使用构建器自身及项目下安装的 loader
+        resolveLoader.modules = resolveLoader.modules.concat([
+            path.join(__dirname, '../node_modules'),
+            'node_modules'
+        ]);
+
+        const config = {
+            context: this.root,
+            entry: newEntry,
+            output: this.setOutput(useHash, assetsPrefix, publicPath, outDir, isLegacy ? '-legacy' : '', jsQuery),
+            module: {
+                rules
+            },
+            plugins,
+            resolve: {
+                alias: this.setAlias(merge(this.getTsPathsAlias(tsConfigFile), opts.alias)),
+                extensions: useTs ? ['.js', '.jsx', '.ts', '.tsx', '.json'] : ['.js', '.jsx', '.json']
+            },
+            resolveLoader,
+            devtool: isProd ? false : 'cheap-module-eval-source-map',
+            devServer: isProd ? undefined : this.setDevServer(opts.port || 8001)
+        };
+
+        if (target) {
+            config.name = target;
+            config.dependencies = isModern ? ['legacy'] : [];
+        }
+
+        return config;
+    }
 }
+
+/**
+ * 静态方法作为向后兼容的门面，每次调用都以当前目录查找到的项目根目录创建实例
+ * 如 BuilderCore.setOutput(...) 等价于 new BuilderCore().setOutput(...)
+ */
+Object.getOwnPropertyNames(BuilderCore.prototype)
+    .filter((name) => name !== 'constructor')
+    .forEach((name) => {
+        BuilderCore[name] = function () {
+            const builder = new BuilderCore();
+            return builder[name].apply(builder, arguments);
+        };
+    });
+
+module.exports = BuilderCore;
@@ -0,0 +1,320 @@
+'use strict';
+
+const fs = require('fs');
+const dns = require('dns');
+const net = require('net');
+const url = require('url');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const osenv = require('osenv');
+const express = require('express');
+const proxyMiddleware = require('http-proxy-middleware');
+const selfsigned = require('selfsigned');
+const webpack = require('webpack');
+const webpackDevMiddleware = require('webpack-dev-middleware');
+const webpackHotMiddleware = require('webpack-hot-middleware');
+const BuilderCore = require('./core');
+const Config = require('./config');
+const {mkdirp} = require('./util');
+
+// 自签名证书的有效期，过期前重新生成
+const CERT_DAYS = 30;
+
+/**
+ * 本地开发服务器
+ * 基于 express 和 webpack-dev-middleware，提供多页面访问、页面列表、样式热更新、mock 接口和代理
+ */
+class DevServer {
+
+    /**
+     * @param options               {root: 项目根目录, builderOptions, port}
+     *                              builderOptions 不传入时读取项目的 feflow 配置
+     */
+    constructor(options) {
+        options = options || {};
+
+        this.builder = new BuilderCore({root: options.root});
+        this.root = this.builder.root;
+        this.builderOptions = options.builderOptions || Config.getLayeredConfig(undefined, this.root).builderOptions;
+
+        const devServer = this.builderOptions.devServer || {};
+
+        this.devServer = devServer;
+        this.port = options.port || this.builderOptions.port || 8001;
+        this.mockDir = devServer.mock === false
+            ? null
+            : path.join(this.root, typeof devServer.mock === 'string' ? devServer.mock : 'mock');
+    }
+
+    /**
+     * 开发环境的 webpack 配置，每个入口加上热更新客户端
+     * @returns {{}}
+     */
+    createConfig() {
+        const config = this.builder.createConfig(this.builderOptions, {env: 'development'});
+        const hotClient = `${require.resolve('webpack-hot-middleware/client')}?reload=true`;
+
+        Object.keys(config.entry).forEach((name) => {
+            config.entry[name] = [hotClient].concat(config.entry[name]);
+        });
+        config.plugins.push(new webpack.HotModuleReplacementPlugin());
+
+        return config;
+    }
+
+    /**
+     * 创建 express 应用，依次处理 mock 接口、代理、页面列表、构建产物、热更新和 src 下的静态文件
+     * @returns {express.Application}
+     */
+    createApp() {
+        const config = this.createConfig();
+        const compiler = webpack(config);
+        const app = express();
+
+        this.devMiddleware = webpackDevMiddleware(compiler, {
+            publicPath: config.output.publicPath,
+            stats: {colors: true, chunks: false, modules: false, children: false}
+        });
+
+        if (this.mockDir) {
+            app.use(this.mockMiddleware());
+        }
+        this.proxyMiddlewares().forEach((middleware) => app.use(middleware));
+        // 需要在构建产物之前注册，否则存在 src/pages/index 时 / 返回的是 index.html
+        app.get(['/', '/__pages'], (req, res) => res.send(this.renderPageIndex()));
+        app.use(this.devMiddleware);
+        app.use(webpackHotMiddleware(compiler));
+        app.use(express.static(this.builder.paths.src));
+
+        return app;
+    }
+
+    /**
+     * 启动 dev server
+     * @returns {Promise}
+     */
+    start() {
+        const app = this.createApp();
+        const httpsOptions = this.getHttpsOptions();
+        const protocol = httpsOptions ? 'https' : 'http';
+
+        this.server = httpsOptions ? https.createServer(httpsOptions, app) : http.createServer(app);
+
+        return new Promise((resolve, reject) => {
+            this.server.on('error', reject);
+            this.server.listen(this.port, () => {
+                console.log(`dev server 已启动: ${protocol}://localhost:${this.port}/`);
+                resolve(this.server);
+            });
+        });
+    }
+
+    /**
+     * 关闭 dev server 并停止监听文件变化
+     * @returns {Promise}
+     */
+    close() {
+        return new Promise((resolve) => {
+            if (this.devMiddleware) {
+                this.devMiddleware.close();
+            }
+            if (!this.server) {
+                return resolve();
+            }
+            this.server.close(() => resolve());
+        });
+    }
+
+    /**
+     * mock 接口，请求 /api/user 时依次查找 mock/api/user.json、mock/api/user.js、mock/api/user/index.json(js)
+     * js 文件导出函数时作为 express 的处理函数，否则作为 JSON 返回
+     * 每次请求都重新读取 mock 文件，修改后无需重启
+     */
+    mockMiddleware() {
+        return (req, res, next) => {
+            const file = this.findMock(req.path);
+
+            if (!file) {
+                return next();
+            }
+
+            try {
+                if (path.extname(file) === '.json') {
+                    return res.json(JSON.parse(fs.readFileSync(file, 'utf-8')));
+                }
+
+                Object.keys(require.cache)
+                    .filter((id) => id.indexOf(this.mockDir + path.sep) === 0)
+                    .forEach((id) => delete require.cache[id]);
+
+                const mock = require(file);
+
+                if (typeof mock === 'function') {
+                    return mock(req, res, next);
+                }
+                res.json(mock);
+            } catch (ex) {
+                next(ex);
+            }
+        };
+    }
+
+    /**
+     * 把域名解析到指定 IP 的 agent，其余域名按系统 DNS 解析
+     * @param target                url.parse 后的代理目标
+     * @param ip                    devServer.hosts 中配置的 IP
+     * @returns {http.Agent|https.Agent}
+     * @private
+     */
+    createHostAgent(target, ip) {
+        const family = net.isIP(ip);
+        const lookup = (hostname, options, callback) => {
+            if (typeof options === 'function') {
+                callback = options;
+                options = {};
+            }
+
+            if (hostname !== target.hostname) {
+                return dns.lookup(hostname, options, callback);
+            }
+
+            // 新版本 Node 会以 all: true 查询所有地址
+            if (options && options.all) {
+                return callback(null, [{address: ip, family}]);
+            }
+            callback(null, ip, family);
+        };
+
+        return target.protocol === 'https:' ? new https.Agent({lookup}) : new http.Agent({lookup});
+    }
+
+    /**
+     * 代理规则，按声明顺序匹配，同时匹配 mock 时优先使用 mock
+     * {path: 路径前缀或 glob, regex: 路径正则, target, pathRewrite, headers: 注入的请求头,
+     *  cookieDomainRewrite, changeOrigin: 默认 true, secure}
+     * devServer.hosts 中配置的域名会直接请求到对应 IP，请求仍以原域名发出，Host 请求头、https 的 SNI 和证书校验都使用原域名
+     * @returns {Array}
+     */
+    proxyMiddlewares() {
+        const hosts = this.devServer.hosts || {};
+
+        return (this.devServer.proxy || []).map((rule) => {
+            const regex = rule.regex && new RegExp(rule.regex);
+            const context = regex ? (pathname) => regex.test(pathname) : rule.path;
+            const options = {
+                target: rule.target,
+                changeOrigin: rule.changeOrigin !== false,
+                pathRewrite: rule.pathRewrite,
+                headers: rule.headers,
+                cookieDomainRewrite: rule.cookieDomainRewrite,
+                secure: rule.secure,
+                logLevel: 'warn'
+            };
+            const target = url.parse(rule.target);
+            const ip = hosts[target.hostname];
+
+            if (ip) {
+                options.agent = this.createHostAgent(target, ip);
+            }
+
+            console.log(`[proxy] ${regex || [].concat(rule.path).join(', ')} -> ${rule.target}${ip ? ` (${ip})` : ''}`);
+
+            return proxyMiddleware(context, options);
+        });
+    }
+
+    /**
+     * https 配置，devServer.https 为 {key, cert} 时读取项目中的证书文件，为 true 时使用自签名证书
+     * 自签名证书缓存在 ~/.feflow/ssl 下，有效期 30 天
+     * @returns {{key, cert}|null}
+     * @private
+     */
+    getHttpsOptions() {
+        const options = this.devServer.https;
+
+        if (!options) {
+            return null;
+        }
+
+        if (typeof options === 'object') {
+            return {
+                key: fs.readFileSync(path.resolve(this.root, options.key)),
+                cert: fs.readFileSync(path.resolve(this.root, options.cert))
+            };
+        }
+
+        const domain = this.builderOptions.domain;
+        const certDir = path.join(osenv.home(), '.feflow/ssl');
+        const certFile = path.join(certDir, `dev-server${domain ? '-' + domain : ''}.pem`);
+        const expired = fs.existsSync(certFile)
+            && Date.now() - fs.statSync(certFile).mtime.getTime() > (CERT_DAYS - 1) * 24 * 3600 * 1000;
+
+        if (!fs.existsSync(certFile) || expired) {
+            const altNames = [{type: 2, value: 'localhost'}, {type: 7, ip: '127.0.0.1'}];
+
+            if (domain) {
+                altNames.push({type: 2, value: domain});
+            }
+
+            const pems = selfsigned.generate([{name: 'commonName', value: domain || 'localhost'}], {
+                days: CERT_DAYS,
+                keySize: 2048,
+                algorithm: 'sha256',
+                extensions: [{name: 'subjectAltName', altNames}]
+            });
+
+            mkdirp(certDir);
+            fs.writeFileSync(certFile, pems.private + pems.cert);
+        }
+
+        const pem = fs.readFileSync(certFile);
+
+        return {key: pem, cert: pem};
+    }
+
+    /**
+     * 查找请求路径对应的 mock 文件
+     * @param reqPath               请求路径
+     * @returns {string|undefined}
+     * @private
+     */
+    findMock(reqPath) {
+        let decodedPath;
+
+        // 不合法的编码如 /%E0%A4%A 交给后续的中间件处理
+        try {
+            decodedPath = decodeURIComponent(reqPath);
+        } catch (ex) {
+            return;
+        }
+
+        const basePath = path.join(this.mockDir, path.normalize(decodedPath).replace(/[\\/]+$/, ''));
+
+        // 不允许访问 mock 目录以外的文件
+        if (basePath.indexOf(this.mockDir + path.sep) !== 0) {
+            return;
+        }
+
+        return [`${basePath}.json`, `${basePath}.js`, path.join(basePath, 'index.json'), path.join(basePath, 'index.js')]
+            .filter((file) => fs.existsSync(file) && fs.statSync(file).isFile())[0];
+    }
+
+    /**
+     * 页面列表，列出 src/pages 下的所有页面
+     * @returns {string}
+     * @private
+     */
+    renderPageIndex() {
+        const pageOptions = this.builderOptions.pages;
+        const links = this.builder.getPageEntries(pageOptions)
+            .map((dir) => this.builder.resolvePage(dir, pageOptions).name)
+            .map((name) => `<li><a href="/${name}.html">${name}</a></li>`)
+            .join('');
+
+        return `<!DOCTYPE html><html><head><meta charset="utf-8"><title>页面列表</title></head>` +
+            `<body><h3>页面列表</h3><ul>${links}</ul></body></html>`;
+    }
+}
+
+module.exports = DevServer;
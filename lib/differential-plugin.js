@@ -0,0 +1,118 @@
+'use strict';
+
+/**
+ * 差异化构建，同一份源码分别构建出 modern 和 legacy 两套 js
+ * legacy 构建先运行，记录每个 chunk 的 js 文件后不再自行输出，交给 modern 构建一起输出，
+ * 以便 modern 构建中的 SRI 和离线包能覆盖到 legacy 的文件
+ * modern 构建生成页面时，给页面的 js 加上 type="module"，并追加对应 legacy js 的 nomodule 标签
+ */
+class DifferentialPlugin {
+
+    /**
+     * @param options               {target: 'modern' | 'legacy', legacy: 两个构建共享的 legacy 构建结果}
+     *                              legacy 为 {chunks: {chunk 名称: [js 文件]}, assets: {文件名: source}}
+     */
+    constructor(options) {
+        this.target = options.target;
+        this.legacy = options.legacy;
+    }
+
+    apply(compiler) {
+        if (this.target === 'legacy') {
+            this.applyLegacy(compiler);
+        } else {
+            this.applyModern(compiler);
+        }
+    }
+
+    /**
+     * 记录 legacy 构建的 js 文件，并清空待输出的资源
+     * @private
+     */
+    applyLegacy(compiler) {
+        compiler.plugin('emit', (compilation, callback) => {
+            compilation.chunks.forEach((chunk) => {
+                const files = chunk.files.filter((file) => /\.js($|\?)/.test(file));
+
+                if (chunk.name) {
+                    this.legacy.chunks[chunk.name] = files;
+                }
+                files.forEach((file) => {
+                    this.legacy.assets[file] = compilation.assets[file];
+                });
+            });
+
+            // css、图片等资源与 modern 构建相同，统一由 modern 构建输出
+            Object.keys(compilation.assets).forEach((file) => delete compilation.assets[file]);
+            callback();
+        });
+    }
+
+    /**
+     * 输出 legacy 的 js 文件，并在页面中加载
+     * 需要在 SubresourceIntegrityPlugin 之前注册，追加的 nomodule 标签才会带上 integrity
+     * @private
+     */
+    applyModern(compiler) {
+        compiler.plugin('this-compilation', (compilation) => {
+            compilation.plugin('additional-assets', (callback) => {
+                Object.assign(compilation.assets, this.legacy.assets);
+                callback();
+            });
+
+            compilation.plugin('html-webpack-plugin-alter-asset-tags', (args, callback) => {
+                [args.head, args.body].forEach((tags) => this.alterScriptTags(tags, args.chunks));
+                callback(null, args);
+            });
+        });
+    }
+
+    /**
+     * 页面 chunk 的 script 标签改为 type="module"，并在最后一个 module 标签后按相同顺序追加 legacy 的 nomodule 标签
+     * @param tags                  html-webpack-plugin 生成的标签
+     * @param chunks                页面引入的 chunk
+     * @private
+     */
+    alterScriptTags(tags, chunks) {
+        const legacyTags = [];
+        let lastIndex = -1;
+
+        chunks.forEach((chunk) => {
+            const legacyFiles = (this.legacy.chunks[chunk.names[0]] || []).slice();
+
+            chunk.files.forEach((file) => {
+                const index = tags.findIndex((tag) => {
+                    const src = tag.tagName === 'script' && tag.attributes && tag.attributes.src;
+                    return !!src && src.slice(-file.length) === file;
+                });
+
+                if (index === -1) {
+                    return;
+                }
+
+                const src = tags[index].attributes.src;
+                const publicPath = src.slice(0, src.length - file.length);
+
+                tags[index].attributes.type = 'module';
+                lastIndex = Math.max(lastIndex, index);
+                legacyFiles.splice(0).forEach((legacyFile) => {
+                    legacyTags.push({
+                        tagName: 'script',
+                        closeTag: true,
+                        attributes: {
+                            type: 'text/javascript',
+                            src: publicPath + legacyFile,
+                            nomodule: true
+                        }
+                    });
+                });
+            });
+        });
+
+        if (lastIndex !== -1) {
+            tags.splice.apply(tags, [lastIndex + 1, 0].concat(legacyTags));
+        }
+    }
+}
+
+module.exports = DifferentialPlugin;
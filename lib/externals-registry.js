@@ -0,0 +1,107 @@
+'use strict';
+
+const fs = require('fs');
+
+// 默认的 CDN 地址模板，{name}、{version}、{path} 分别为包名、安装的版本号和包内的文件路径
+const DEFAULT_CDN = '//unpkg.com/{name}@{version}/{path}';
+
+/**
+ * 常用库的全局变量和包内 UMD 文件路径，path 为 {development, production} 或按主版本号返回它的函数
+ */
+const REGISTRY = {
+    react: {
+        global: 'React',
+        path: (major) => major >= 16
+            ? {development: 'umd/react.development.js', production: 'umd/react.production.min.js'}
+            : {development: 'dist/react.js', production: 'dist/react.min.js'}
+    },
+    'react-dom': {
+        global: 'ReactDOM',
+        path: (major) => major >= 16
+            ? {development: 'umd/react-dom.development.js', production: 'umd/react-dom.production.min.js'}
+            : {development: 'dist/react-dom.js', production: 'dist/react-dom.min.js'}
+    },
+    'react-router-dom': {
+        global: 'ReactRouterDOM',
+        path: {development: 'umd/react-router-dom.js', production: 'umd/react-router-dom.min.js'}
+    },
+    'prop-types': {
+        global: 'PropTypes',
+        path: {development: 'prop-types.js', production: 'prop-types.min.js'}
+    },
+    vue: {
+        global: 'Vue',
+        path: {development: 'dist/vue.js', production: 'dist/vue.min.js'}
+    },
+    'vue-router': {
+        global: 'VueRouter',
+        path: {development: 'dist/vue-router.js', production: 'dist/vue-router.min.js'}
+    },
+    vuex: {
+        global: 'Vuex',
+        path: {development: 'dist/vuex.js', production: 'dist/vuex.min.js'}
+    },
+    lodash: {
+        global: '_',
+        path: {development: 'lodash.js', production: 'lodash.min.js'}
+    },
+    moment: {
+        global: 'moment',
+        path: {development: 'moment.js', production: 'min/moment.min.js'}
+    },
+    axios: {
+        global: 'axios',
+        path: {development: 'dist/axios.js', production: 'dist/axios.min.js'}
+    },
+    jquery: {
+        global: 'jQuery',
+        path: {development: 'dist/jquery.js', production: 'dist/jquery.min.js'}
+    }
+};
+
+/**
+ * 项目中安装的版本号，按 Node 的模块查找规则从项目根目录向上查找，支持 workspace 中提升到上层的包
+ * @param root                  项目根目录
+ * @param name                  包名
+ * @returns {string|undefined}
+ */
+const getInstalledVersion = (root, name) => {
+    let file;
+
+    try {
+        file = require.resolve(`${name}/package.json`, {paths: [root]});
+    } catch (ex) {
+        return undefined;
+    }
+    return JSON.parse(fs.readFileSync(file, 'utf-8')).version;
+};
+
+/**
+ * 替换地址模板中的 {name}、{version}、{path}
+ * @param template
+ * @param data                  {name, version, path}
+ * @returns {string}
+ */
+const formatUrl = (template, data) => {
+    return template.replace(/\{(name|version|path)\}/g, (match, key) => data[key]);
+};
+
+/**
+ * 登记库在当前环境下的包内文件路径
+ * @param name                  包名
+ * @param version               版本号
+ * @param isProd                是否为生产环境
+ * @returns {string}
+ */
+const getRegistryPath = (name, version, isProd) => {
+    const paths = REGISTRY[name].path;
+    const resolved = typeof paths === 'function' ? paths(parseInt(version, 10)) : paths;
+
+    return isProd ? resolved.production : resolved.development;
+};
+
+exports.DEFAULT_CDN = DEFAULT_CDN;
+exports.REGISTRY = REGISTRY;
+exports.getInstalledVersion = getInstalledVersion;
+exports.formatUrl = formatUrl;
+exports.getRegistryPath = getRegistryPath;
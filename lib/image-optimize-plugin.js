@@ -0,0 +1,150 @@
+'use strict';
+
+const imagemin = require('imagemin');
+const imageminPngquant = require('imagemin-pngquant');
+const imageminOptipng = require('imagemin-optipng');
+const imageminMozjpeg = require('imagemin-mozjpeg');
+const imageminJpegtran = require('imagemin-jpegtran');
+const imageminGifsicle = require('imagemin-gifsicle');
+const imageminSvgo = require('imagemin-svgo');
+const imageminWebp = require('imagemin-webp');
+const {toAsset} = require('./util');
+
+// 需要压缩的图片，资源名可能带有 ?_bid= 等查询参数
+const IMAGE_REGEXP = /\.(png|jpe?g|gif|svg)(\?|$)/i;
+// 可以生成 WebP 的图片
+const WEBP_REGEXP = /\.(png|jpe?g)(\?|$)/i;
+// 报告的资源名，相对于输出目录
+const REPORT_FILE = 'image-report.json';
+
+/**
+ * 压缩构建产物中的图片，可选生成 WebP 图片，并输出 image-report.json 记录每张图片节省的大小
+ * 在 optimize-assets 阶段处理，SRI 计算的是压缩后图片的 hash；内联为 base64 的图片不经过这里
+ * WebP 图片在原文件名后追加 .webp，a.png 和 a.jpg 分别生成 a.png.webp 和 a.jpg.webp
+ */
+class ImageOptimizePlugin {
+
+    /**
+     * @param options               {lossy, quality, webp, report}
+     *                              lossy 为 true 时 png、jpg 使用有损压缩，默认无损；quality 为有损压缩和 WebP 的质量，默认 80
+     *                              webp 为 true 时给 png、jpg 生成 <原文件名>.webp 图片；report 为 false 时不生成报告
+     */
+    constructor(options) {
+        this.options = Object.assign({}, options);
+        this.options.quality = this.options.quality || 80;
+    }
+
+    apply(compiler) {
+        let report = [];
+
+        compiler.plugin('this-compilation', (compilation) => {
+            compilation.plugin('optimize-assets', (assets, callback) => {
+                const files = Object.keys(assets).filter((file) => IMAGE_REGEXP.test(file));
+
+                report = [];
+                Promise.all(files.map((file) => this.optimize(compilation, file)))
+                    .then((items) => {
+                        report = items.filter(Boolean);
+                        callback();
+                    })
+                    .catch(callback);
+            });
+        });
+
+        // 在 emit 阶段作为资源加入，由 webpack 写入输出目录，同时出现在 stats 和 asset-manifest.json 中
+        compiler.plugin('emit', (compilation, callback) => {
+            if (this.options.report === false || !report.length) {
+                return callback();
+            }
+
+            const saved = report.reduce((size, item) => size + item.saved, 0);
+            const content = {
+                originalSize: report.reduce((size, item) => size + item.originalSize, 0),
+                size: report.reduce((size, item) => size + item.size, 0),
+                saved,
+                images: report
+            };
+
+            compilation.assets[REPORT_FILE] = toAsset(JSON.stringify(content, null, 2));
+            console.log(`图片压缩: ${report.length} 张图片，共节省 ${(saved / 1024).toFixed(2)} kB`);
+            callback();
+        });
+    }
+
+    /**
+     * 压缩单张图片，压缩后变大时保留原图
+     * @param compilation
+     * @param file                  资源名
+     * @returns {Promise}           {file, originalSize, size, saved, webp}，压缩失败时为 undefined
+     * @private
+     */
+    optimize(compilation, file) {
+        const original = compilation.assets[file].source();
+        const buffer = Buffer.isBuffer(original) ? original : Buffer.from(original);
+        const item = {file, originalSize: buffer.length, size: buffer.length, saved: 0};
+
+        const compress = imagemin.buffer(buffer, {plugins: this.getPlugins()})
+            .then((optimized) => {
+                if (optimized.length < buffer.length) {
+                    compilation.assets[file] = toAsset(optimized);
+                    item.size = optimized.length;
+                    item.saved = buffer.length - optimized.length;
+                }
+                return item;
+            })
+            .catch((ex) => {
+                compilation.warnings.push(new Error(`图片压缩失败: ${file} (${ex.message})`));
+            });
+
+        if (!this.options.webp || !WEBP_REGEXP.test(file)) {
+            return compress;
+        }
+
+        // WebP 由原图生成，生成失败不影响原图的压缩结果
+        const webp = imagemin.buffer(buffer, {plugins: [imageminWebp({quality: this.options.quality})]})
+            .then((content) => {
+                // 追加而不是替换扩展名，避免同名的 png 和 jpg 生成同一个 WebP 文件
+                const webpFile = file.replace(/(\?|$)/, '.webp$1');
+
+                compilation.assets[webpFile] = toAsset(content);
+                return webpFile;
+            })
+            .catch((ex) => {
+                compilation.warnings.push(new Error(`WebP 生成失败: ${file} (${ex.message})`));
+            });
+
+        return Promise.all([compress, webp]).then(([result, webpFile]) => {
+            if (result && webpFile) {
+                result.webp = webpFile;
+            }
+            return result;
+        });
+    }
+
+    /**
+     * imagemin 插件，lossy 为 true 时 png 使用 pngquant、jpg 使用 mozjpeg，否则使用无损的 optipng 和 jpegtran
+     * @returns {Array}
+     * @private
+     */
+    getPlugins() {
+        const quality = this.options.quality;
+
+        if (this.options.lossy) {
+            return [
+                imageminPngquant({quality: `${Math.max(quality - 15, 0)}-${quality}`}),
+                imageminMozjpeg({quality}),
+                imageminGifsicle(),
+                imageminSvgo()
+            ];
+        }
+
+        return [
+            imageminOptipng(),
+            imageminJpegtran({progressive: true}),
+            imageminGifsicle(),
+            imageminSvgo()
+        ];
+    }
+}
+
+module.exports = ImageOptimizePlugin;
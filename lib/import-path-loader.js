@@ -0,0 +1,26 @@
+'use strict';
+
+const path = require('path');
+
+/**
+ * 样式文件中绝对路径的 @import 改写为相对当前文件的路径，以 src 为根目录
+ * 如 @import "/assets/css/mixin"; 在 src/pages/index/index.scss 中改写为 @import "../../assets/css/mixin";
+ * options 为 {srcPath}
+ */
+module.exports = function (source) {
+    const options = this.query || {};
+
+    if (this.cacheable) {
+        this.cacheable();
+    }
+
+    return source.replace(/@import\s*(\([^)]*\)\s*)?(["'])\/(?!\/)(.*?)\2/gmi, (match, importOptions, quote, importPath) => {
+        let relativePath = path.relative(this.context, path.join(options.srcPath, importPath)).split(path.sep).join('/');
+
+        if (relativePath[0] !== '.') {
+            relativePath = `./${relativePath}`;
+        }
+
+        return `@import ${importOptions || ''}${quote}${relativePath}${quote}`;
+    });
+};
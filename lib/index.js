@@ -1,2 +1,3 @@
-
-module.exports = require('./core');
\ No newline at end of file
+module.exports = require('./core');
+module.exports.Workspace = require('./workspace');
+module.exports.DevServer = require('./dev-server');
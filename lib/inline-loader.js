@@ -0,0 +1,168 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// __uri 只能定位经过图片、富媒体、字体规则处理的资源，其余文件 require 得到的是模块内容而不是地址
+const URI_REGEXP = /\.(png|svg|jpg|jpeg|gif|webp|blob|mp3|mp4|mov|webm|ogg|ogv|wav|m4a|aac|woff|woff2|eot|ttf|otf)$/;
+
+/**
+ * Fis3 的资源内联与定位语法，按顺序改写为 html-loader 的 ${require()} 语法
+ * url 返回语法中引用的文件，module 为 true 时不带 ./ 的路径按 node_modules 中的包查找
+ * check 返回不支持时的错误信息；dependency 为 true 时文件内容参与替换，需要加入依赖
+ * attrs 为 true 的语法只在 options.attrs 时处理，代替 html-loader 的 src 属性处理
+ * replace 接收改写后的请求、文件的绝对路径和正则的匹配结果
+ */
+const SYNTAX = [
+    {
+        // <script src="package?__inline"></script>，内联经过 babel 编译的 js
+        // 如 <script src="@tencent/report-whitelist?__inline"></script> 替换为
+        // <script>${require('raw-loader!babel-loader!@tencent/report-whitelist')}</script>
+        pattern: /<script.*?src="(.*?)\?__inline".*?>.*?<\/script>/gmi,
+        url: (match) => match[1],
+        module: true,
+        replace: (request) => "<script>${require('raw-loader!babel-loader!" + request + "')}</script>"
+    },
+    {
+        // <!--inline[/assets/inline/meta.html]-->，内联 html 片段
+        pattern: /<!--inline\[(.*?)\]-->/gmi,
+        url: (match) => match[1],
+        module: true,
+        replace: (request) => "${require('raw-loader!" + request + "')}"
+    },
+    {
+        // <link rel="stylesheet" href="style.scss?__inline">，替换为 <style>，内容经过与样式文件相同的 Sass/Less、PostCSS 处理
+        pattern: /<link[^>]*?href="([^"]*?\.(?:css|scss|less))\?__inline"[^>]*>/gmi,
+        url: (match) => match[1],
+        replace: (request) => "<style>${require('" + request + "?__inline')}</style>"
+    },
+    {
+        // <img src="logo.png?__inline">，图片转为 base64
+        pattern: /(<img[^>]*?src=")([^"]*?)\?__inline(")/gmi,
+        url: (match) => match[2],
+        replace: (request, file, match) => match[1] + "${require('" + request + "?__inline')}" + match[3]
+    },
+    {
+        // __uri('/assets/img/logo.png')，替换为资源发布后的地址
+        pattern: /__uri\(\s*(['"]?)([^'"()\s]+)\1\s*\)/gm,
+        url: (match) => match[2],
+        check: (url) => URI_REGEXP.test(url.split('?')[0]) ? '' : '__uri 只支持图片、富媒体和字体文件',
+        replace: (request) => "${require('" + request + "')}"
+    },
+    {
+        // __md5('/assets/data.json')，替换为文件内容的 md5，用于手动拼接的地址
+        pattern: /__md5\(\s*(['"]?)([^'"()\s]+)\1\s*\)/gm,
+        url: (match) => match[2],
+        dependency: true,
+        replace: (request, file, match, options) => {
+            return crypto.createHash('md5').update(fs.readFileSync(file)).digest('hex').slice(0, options.hashLength || 8);
+        }
+    },
+    {
+        // <img src="logo.png">，与 html-loader 的 attrs: [':src'] 相同，只处理相对路径
+        // 跳过协议、// 和 / 开头的地址，以及包含 <% %>、{{ }}、${} 等模板语法和其它语法糖的值
+        pattern: /(\ssrc=)(["'])(?![a-z][a-z0-9+.-]*:|\/|#)(?![^"']*__inline)([^"'\s<>{}$()]+)\2/gmi,
+        url: (match) => match[3],
+        attrs: true,
+        replace: (request, file, match) => match[1] + match[2] + "${require('" + request + "')}" + match[2]
+    }
+];
+
+/**
+ * 语法中的路径转换为 webpack 的请求
+ * 绝对路径以 src 为根目录，多级页面目录下同样适用；其余路径与 html-loader 一致，~ 开头的按包查找
+ * @param url
+ * @param srcPath
+ * @param isModule              是否保留不带 ./ 的路径，按包查找
+ * @returns {string}
+ */
+const toRequest = (url, srcPath, isModule) => {
+    if (/^\/(?!\/)/.test(url)) {
+        return srcPath + url;
+    }
+
+    if (isModule || /^\.\.?\//.test(url)) {
+        return url;
+    }
+
+    return url[0] === '~' ? url.slice(1) : `./${url}`;
+};
+
+/**
+ * 页面模板的 Fis3 inline 语法糖支持，在 html-loader 之前执行
+ * 引用的文件不存在时构建失败，错误信息中给出模板文件和行号
+ * options 为 {srcPath, root, hashLength, attrs}，attrs 为 true 时同时处理 src 属性中的相对路径，用于 EJS、Handlebars 模板
+ */
+module.exports = function (source) {
+    const callback = this.async();
+    const options = this.query || {};
+    const srcPath = options.srcPath.split(path.sep).join('/');
+    const template = path.relative(options.root || process.cwd(), this.resourcePath);
+    const items = [];
+
+    if (this.cacheable) {
+        this.cacheable();
+    }
+
+    const syntaxes = SYNTAX.filter((syntax) => !syntax.attrs || options.attrs);
+
+    // 改写不增减换行，行号在各个语法之间保持不变
+    syntaxes.forEach((syntax, index) => {
+        syntax.pattern.lastIndex = 0;
+
+        let match;
+        while ((match = syntax.pattern.exec(source))) {
+            const url = syntax.url(match);
+            const request = toRequest(url, srcPath, syntax.module);
+
+            items.push({
+                index,
+                url,
+                request,
+                line: source.slice(0, match.index).split('\n').length,
+                error: syntax.check ? syntax.check(url) : ''
+            });
+        }
+    });
+
+    const resolve = (item) => new Promise((done) => {
+        if (item.error) {
+            done();
+            return;
+        }
+
+        this.resolve(this.context, item.request.split('?')[0], (err, file) => {
+            if (err) {
+                item.error = '找不到文件';
+            }
+            item.file = file;
+            done();
+        });
+    });
+
+    Promise.all(items.map(resolve)).then(() => {
+        const errors = items.filter((item) => item.error);
+
+        if (errors.length) {
+            callback(new Error(errors.map((item) => `${template}:${item.line} ${item.error}: ${item.url}`).join('\n')));
+            return;
+        }
+
+        syntaxes.forEach((syntax, index) => {
+            const list = items.filter((item) => item.index === index);
+            let current = 0;
+
+            source = source.replace(syntax.pattern, (...match) => {
+                const item = list[current++];
+
+                if (syntax.dependency) {
+                    this.addDependency(item.file);
+                }
+                return syntax.replace(item.request, item.file, match, options);
+            });
+        });
+
+        callback(null, source);
+    }).catch(callback);
+};
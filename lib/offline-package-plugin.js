@@ -0,0 +1,345 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const glob = require('glob');
+const yazl = require('yazl');
+const yauzl = require('yauzl');
+const {computeIntegrity, toAsset} = require('./util');
+
+// zip 中文件的修改时间和权限固定，相同的文件打出的离线包完全一致；zip 的时间从 1980 年开始
+const ZIP_FILE_OPTIONS = {mtime: new Date(1980, 0, 1), mode: 0o100644};
+// 离线包中记录文件列表的清单
+const MANIFEST_FILE = 'manifest.json';
+
+/**
+ * @param content               Buffer
+ * @returns {string}
+ */
+const sha256 = (content) => crypto.createHash('sha256').update(content).digest('hex');
+
+/**
+ * 读取 zip 中的所有文件
+ * @param file                  zip 文件路径
+ * @param callback              callback(err, {文件路径: Buffer})
+ */
+const readZip = (file, callback) => {
+    yauzl.open(file, {lazyEntries: true}, (err, zipFile) => {
+        if (err) {
+            return callback(err);
+        }
+
+        const files = {};
+
+        zipFile.on('entry', (entry) => {
+            if (/\/$/.test(entry.fileName)) {
+                return zipFile.readEntry();
+            }
+
+            zipFile.openReadStream(entry, (err, stream) => {
+                if (err) {
+                    return callback(err);
+                }
+
+                const bufs = [];
+                stream.on('data', (buf) => bufs.push(buf));
+                stream.on('end', () => {
+                    files[entry.fileName] = Buffer.concat(bufs);
+                    zipFile.readEntry();
+                });
+            });
+        });
+        zipFile.on('end', () => callback(null, files));
+        zipFile.on('error', callback);
+        zipFile.readEntry();
+    });
+};
+
+/**
+ * 读取目录下的所有文件
+ * @param dir
+ * @param callback              callback(err, {文件路径: Buffer})
+ */
+const readDir = (dir, callback) => {
+    const files = {};
+
+    try {
+        glob.sync('**/*', {cwd: dir, nodir: true, dot: true}).forEach((file) => {
+            files[file] = fs.readFileSync(path.join(dir, file));
+        });
+    } catch (ex) {
+        return callback(ex);
+    }
+
+    callback(null, files);
+};
+
+/**
+ * 把构建产物打成离线包，替代 offline-webpack-plugin
+ * 文本文件按顺序经过 rules 改写，如把 CDN 地址改为页面域名；
+ * 离线包版本号默认取所有文件内容的 hash，代码不变时重复构建得到的离线包字节完全一致；
+ * 离线包根目录下的 manifest.json 记录版本号和每个文件的路径、大小、hash
+ * 指定上一个版本的离线包时，额外生成只包含新增、修改文件的增量包，manifest.json 中记录两个版本号和删除的文件
+ */
+class OfflinePackagePlugin {
+
+    /**
+     * @param options               {path, filename, pathMapper, rules, integrity, inject, verify, version, base, diffFilename}
+     *                              path 为离线包输出目录；pathMapper(assetPath) 返回文件在离线包中的路径
+     *                              rules 为 [{test, transform(source, assetPath)}]，test 匹配去掉查询参数的资源名
+     *                              integrity 为 hash 算法列表时，按改写后的内容重新计算 html 中离线包内资源的 integrity
+     *                              inject(source, assetPath, version) 在版本号确定后修改文本文件的内容，如注入版本号
+     *                              verify 为字符串列表，改写后文本文件中仍包含时给出警告，如 CDN 域名
+     *                              version 为指定的版本号，不传入时按文件内容生成
+     *                              base 为上一个版本的离线包，zip 文件或解压后的目录；diffFilename 为增量包文件名
+     */
+    constructor(options) {
+        this.options = Object.assign({
+            filename: 'offline.zip',
+            diffFilename: 'offline-diff.zip',
+            pathMapper: (assetPath) => assetPath,
+            rules: [],
+            verify: []
+        }, options);
+    }
+
+    apply(compiler) {
+        compiler.plugin('emit', (compilation, callback) => {
+            const entries = this.getEntries(compilation);
+
+            if (this.options.integrity) {
+                this.updateIntegrity(entries);
+            }
+
+            const version = this.options.version !== undefined
+                ? String(this.options.version)
+                : this.getVersion(entries);
+
+            if (this.options.inject) {
+                entries.filter((entry) => entry.text).forEach((entry) => {
+                    entry.content = Buffer.from(this.options.inject(entry.content.toString(), entry.assetPath, version));
+                });
+            }
+
+            this.verify(compilation, entries);
+
+            const manifest = {
+                version,
+                files: entries.map((entry) => ({
+                    path: entry.path,
+                    size: entry.content.length,
+                    hash: sha256(entry.content)
+                }))
+            };
+
+            this.zip(entries, manifest, (buffer) => {
+                compilation.assets[this.getAssetName(compilation, this.options.filename)] = toAsset(buffer);
+
+                if (!this.options.base) {
+                    return callback();
+                }
+
+                this.readBase(this.options.base, (err, base) => {
+                    if (err) {
+                        compilation.warnings.push(new Error(`读取上一个版本的离线包失败，未生成增量包: ${err.message}`));
+                        return callback();
+                    }
+
+                    const diff = this.diff(entries, manifest, base);
+
+                    this.zip(diff.entries, diff.manifest, (buffer) => {
+                        compilation.assets[this.getAssetName(compilation, this.options.diffFilename)] = toAsset(buffer);
+                        callback();
+                    });
+                });
+            });
+        });
+    }
+
+    /**
+     * 离线包在 compilation.assets 中的资源名，相对 webpack 的输出目录
+     * @param compilation
+     * @param filename
+     * @returns {string}
+     * @private
+     */
+    getAssetName(compilation, filename) {
+        const outputPath = compilation.options.output.path;
+        return path.relative(outputPath, path.resolve(outputPath, this.options.path || '', filename));
+    }
+
+    /**
+     * 读取上一个版本的离线包，按内容计算每个文件的 hash，版本号取离线包中的 manifest.json
+     * @param base                  zip 文件或解压后的目录
+     * @param callback              callback(err, {version, files: {文件路径: hash}})
+     * @private
+     */
+    readBase(base, callback) {
+        if (!fs.existsSync(base)) {
+            return callback(new Error(`${base} 不存在`));
+        }
+
+        const read = fs.statSync(base).isDirectory() ? readDir : readZip;
+
+        read(base, (err, contents) => {
+            if (err) {
+                return callback(err);
+            }
+
+            let version = null;
+            const files = {};
+
+            Object.keys(contents).forEach((file) => {
+                if (file === MANIFEST_FILE) {
+                    try {
+                        version = JSON.parse(contents[file].toString()).version;
+                    } catch (ex) {
+                        // 旧版本的离线包没有有效的 manifest.json，版本号记为 null
+                    }
+                } else {
+                    files[file.split(path.sep).join('/')] = sha256(contents[file]);
+                }
+            });
+
+            callback(null, {version, files});
+        });
+    }
+
+    /**
+     * 对比上一个版本的离线包，得到增量包的文件和 manifest.json
+     * @param entries               当前版本的文件
+     * @param manifest              当前版本的 manifest.json
+     * @param base                  readBase 的返回值
+     * @returns {{entries: Array, manifest: {}}}
+     * @private
+     */
+    diff(entries, manifest, base) {
+        const changed = entries.filter((entry, index) => base.files[entry.path] !== manifest.files[index].hash);
+        const paths = entries.map((entry) => entry.path);
+
+        return {
+            entries: changed,
+            manifest: {
+                version: manifest.version,
+                baseVersion: base.version,
+                files: manifest.files.filter((file, index) => changed.indexOf(entries[index]) !== -1),
+                deleted: Object.keys(base.files).filter((file) => paths.indexOf(file) === -1).sort()
+            }
+        };
+    }
+
+    /**
+     * 离线包中的文件，按路径排序
+     * @param compilation
+     * @returns {Array}             [{assetPath, path, content, text}]，text 表示是否为经过 rules 改写的文本文件
+     * @private
+     */
+    getEntries(compilation) {
+        const entries = Object.keys(compilation.assets).map((assetPath) => {
+            const source = compilation.assets[assetPath].source();
+            let filePath = this.options.pathMapper(assetPath);
+
+            if (/now_config\.json/.test(filePath)) {
+                filePath = 'now_config.json';
+            }
+
+            const text = !Buffer.isBuffer(source);
+            const file = assetPath.replace(/\?.*/, '');
+            const content = text
+                ? this.options.rules
+                    .filter((rule) => rule.test.test(file))
+                    .reduce((result, rule) => rule.transform(result, assetPath), source)
+                : source;
+
+            return {
+                assetPath,
+                path: filePath.replace(/\?.*/, '').split(path.sep).join('/'),
+                content: Buffer.isBuffer(content) ? content : Buffer.from(content),
+                text
+            };
+        });
+
+        return entries.sort((a, b) => (a.path < b.path ? -1 : a.path > b.path ? 1 : 0));
+    }
+
+    /**
+     * 按改写后的内容重新计算 html 中 script、link 标签的 integrity，只处理引用离线包内文件的标签
+     * @param entries
+     * @private
+     */
+    updateIntegrity(entries) {
+        const files = {};
+        entries.forEach((entry) => {
+            files[entry.path] = entry;
+        });
+
+        entries.filter((entry) => entry.text && /\.html$/.test(entry.path)).forEach((entry) => {
+            const source = entry.content.toString().replace(/<(?:script|link)\b[^>]*>/g, (tag) => {
+                const url = /\s(?:src|href)="([^"]+)"/.exec(tag);
+                const file = url && files[url[1].replace(/^(https?:)?\/\//, '').replace(/[?#].*/, '')];
+
+                if (!file || !/\sintegrity="/.test(tag)) {
+                    return tag;
+                }
+                return tag.replace(/\sintegrity="[^"]*"/, ` integrity="${computeIntegrity(this.options.integrity, file.content)}"`);
+            });
+
+            entry.content = Buffer.from(source);
+        });
+    }
+
+    /**
+     * 检查改写后的文本文件中是否还有 verify 中的字符串，如未改写的 CDN 地址
+     * @param compilation
+     * @param entries
+     * @private
+     */
+    verify(compilation, entries) {
+        this.options.verify.forEach((search) => {
+            const found = entries
+                .filter((entry) => entry.text)
+                .map((entry) => ({path: entry.path, count: entry.content.toString().split(search).length - 1}))
+                .filter((item) => item.count > 0);
+
+            if (found.length) {
+                compilation.warnings.push(new Error(
+                    `离线包中仍有 ${search} 的引用:\n${found.map((item) => `  ${item.path} (${item.count} 处)`).join('\n')}`
+                ));
+            }
+        });
+    }
+
+    /**
+     * 按文件路径和内容生成版本号
+     * @param entries
+     * @returns {string}
+     * @private
+     */
+    getVersion(entries) {
+        const hash = crypto.createHash('sha256');
+
+        entries.forEach((entry) => hash.update(`${entry.path}\n${sha256(entry.content)}\n`));
+        return hash.digest('hex').slice(0, 16);
+    }
+
+    /**
+     * @param entries
+     * @param manifest              写入离线包根目录的 manifest.json
+     * @param callback              callback(buffer)
+     * @private
+     */
+    zip(entries, manifest, callback) {
+        const zipFile = new yazl.ZipFile();
+        const bufs = [];
+
+        entries.forEach((entry) => zipFile.addBuffer(entry.content, entry.path, ZIP_FILE_OPTIONS));
+        zipFile.addBuffer(Buffer.from(JSON.stringify(manifest, null, 2)), MANIFEST_FILE, ZIP_FILE_OPTIONS);
+        zipFile.end();
+
+        zipFile.outputStream.on('data', (buf) => bufs.push(buf));
+        zipFile.outputStream.on('end', () => callback(Buffer.concat(bufs)));
+    }
+}
+
+module.exports = OfflinePackagePlugin;
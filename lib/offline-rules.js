@@ -0,0 +1,104 @@
+'use strict';
+
+const {escapeRegExp} = require('./util');
+
+const HTML_REGEXP = /\.html$/;
+const TEXT_REGEXP = /\.(html|js|css|json)$/;
+
+/**
+ * 内置的离线包改写规则，按名称引用
+ * 每个规则接收 context {cdnUrl, serverUrl, jsQuery}，返回 {test, transform(source, assetPath)}
+ */
+const BUILTIN_RULES = {
+    // CDN 资源的地址改为页面域名下的地址，直接使用离线包内的资源
+    cdn: (context) => ({
+        test: TEXT_REGEXP,
+        transform: (source) => source.replace(new RegExp(escapeRegExp(context.cdnUrl), 'g'), context.serverUrl)
+    }),
+    // 资源已改为同域，去掉 script 标签上的 crossorigin="anonymous"
+    // 必须限定在 script 标签内，否则内联到 html 中的源码被匹配到也会被替换，如 i.crossorigin="anonymous" 会只剩 "i."
+    crossorigin: () => ({
+        test: HTML_REGEXP,
+        transform: (source) => source.replace(/(?<=<script.*) crossorigin="anonymous"/g, '')
+    }),
+    // 去掉业务 js 文件名后的查询参数，如 ?_bid=152
+    query: (context) => ({
+        test: HTML_REGEXP,
+        transform: (source) => {
+            if (!context.jsQuery) {
+                return source;
+            }
+            return source.replace(new RegExp(`(?<=<script.*src=".+\\.js)\\?${escapeRegExp(context.jsQuery)}`, 'g'), '');
+        }
+    }),
+    // 去掉 js 与 css 上的 integrity 属性，防止改写后的资源因为 SRI 校验失败无法加载
+    integrity: () => ({
+        test: HTML_REGEXP,
+        transform: (source) => source.replace(/(?<=<(?:script|link).*) integrity=".+?"/g, '')
+    })
+};
+
+// 默认的改写规则，按顺序执行
+const DEFAULT_RULES = ['cdn', 'crossorigin', 'query', 'integrity'];
+
+/**
+ * @param test                  RegExp 或正则字符串，不传入时匹配所有文本文件
+ * @param defaultTest
+ * @returns {RegExp}
+ */
+const toRegExp = (test, defaultTest) => {
+    if (test === undefined) {
+        return defaultTest;
+    }
+    return test instanceof RegExp ? test : new RegExp(test);
+};
+
+/**
+ * 把 builderOptions.offline.rules 转换为 OfflinePackagePlugin 的改写规则
+ * @param rules                 规则列表，默认 DEFAULT_RULES，每一项可以是
+ *                              内置规则名称，如 'cdn'；
+ *                              {rule: 内置规则名称, test} 修改内置规则作用的文件；
+ *                              {test, search, replace} 按正则或字符串替换，search 为字符串时替换全部；
+ *                              {test, transform(source, assetPath)} 或 function(source, assetPath) 自定义改写
+ *                              test 为匹配资源名的 RegExp 或正则字符串，默认匹配所有 html、js、css、json 文件
+ * @param context               {cdnUrl, serverUrl, jsQuery}
+ * @returns {Array}             [{test, transform}]
+ */
+const createOfflineRules = (rules, context) => {
+    return (rules || DEFAULT_RULES).map((rule) => {
+        if (typeof rule === 'function') {
+            return {test: TEXT_REGEXP, transform: rule};
+        }
+
+        if (typeof rule === 'string') {
+            rule = {rule};
+        }
+
+        if (rule.rule) {
+            if (!BUILTIN_RULES[rule.rule]) {
+                throw new Error(`未知的离线包改写规则: ${rule.rule}，可选 ${Object.keys(BUILTIN_RULES).join('、')}`);
+            }
+
+            const builtin = BUILTIN_RULES[rule.rule](context);
+            return {test: toRegExp(rule.test, builtin.test), transform: builtin.transform};
+        }
+
+        if (typeof rule.transform === 'function') {
+            return {test: toRegExp(rule.test, TEXT_REGEXP), transform: rule.transform};
+        }
+
+        if (rule.search !== undefined) {
+            const search = rule.search instanceof RegExp ? rule.search : new RegExp(escapeRegExp(rule.search), 'g');
+            return {
+                test: toRegExp(rule.test, TEXT_REGEXP),
+                transform: (source) => source.replace(search, rule.replace === undefined ? '' : rule.replace)
+            };
+        }
+
+        throw new Error(`离线包改写规则需要指定 rule、search 或 transform: ${JSON.stringify(rule)}`);
+    });
+};
+
+exports.BUILTIN_RULES = BUILTIN_RULES;
+exports.DEFAULT_RULES = DEFAULT_RULES;
+exports.createOfflineRules = createOfflineRules;
@@ -0,0 +1,90 @@
+'use strict';
+
+const path = require('path');
+
+// 跳过字符串和 url() 中的 px，只转换数值
+const PX_REGEXP = /"[^"]*"|'[^']*'|url\([^)]*\)|(\d*\.?\d+)px\b/g;
+// 声明后紧跟该注释时不转换，如 border: 1px solid; /* no */
+const KEEP_COMMENT = 'no';
+
+/**
+ * 判断值是否命中规则，字符串规则按包含匹配，正则规则按正则匹配
+ * @param patterns              规则列表
+ * @param value
+ * @returns {boolean}
+ */
+const matchAny = (patterns, value) => {
+    return (patterns || []).some((pattern) => {
+        return pattern instanceof RegExp ? pattern.test(value) : value.indexOf(pattern) !== -1;
+    });
+};
+
+/**
+ * 获取样式文件对应的设计稿宽度，取文件所在的最深一级配置了设计稿宽度的目录
+ * @param file                  样式文件路径
+ * @param options               同 pxUnit
+ * @returns {number}
+ */
+const getDesignWidth = (file, options) => {
+    let designWidth = options.designWidth;
+    let depth = -1;
+
+    (options.designWidths || []).forEach((item) => {
+        if (file && file.indexOf(item.dir + path.sep) === 0 && item.dir.length >= depth) {
+            designWidth = item.width;
+            depth = item.dir.length;
+        }
+    });
+
+    return designWidth;
+};
+
+/**
+ * 移动端单位转换的 PostCSS 插件，把 px 按设计稿宽度转换为 rem 或 vw
+ * @param options               {mode, designWidth, remUnit, precision, minPixelValue, selectorBlackList, exclude, designWidths}
+ *                              mode 为 rem 或 vw；remUnit 为 designWidth 宽的设计稿下 1rem 对应的 px
+ *                              minPixelValue 为不转换的最大 px 值；selectorBlackList、exclude 为不转换的选择器和文件
+ *                              designWidths 为 [{dir, width}]，目录下的样式文件按对应的设计稿宽度转换
+ * @returns {Function}
+ */
+const pxUnit = (options) => (root) => {
+    const file = root.source && root.source.input.file;
+
+    if (file && matchAny(options.exclude, file)) {
+        return;
+    }
+
+    const designWidth = getDesignWidth(file, options);
+    const precision = Math.pow(10, options.precision);
+    const convert = options.mode === 'vw'
+        ? (px) => `${Math.round(px / designWidth * 100 * precision) / precision}vw`
+        : (px) => `${Math.round(px / (options.remUnit * designWidth / options.designWidth) * precision) / precision}rem`;
+
+    root.walkDecls((decl) => {
+        if (decl.value.indexOf('px') === -1) {
+            return;
+        }
+
+        const next = decl.next();
+        if (next && next.type === 'comment' && next.text.trim() === KEEP_COMMENT) {
+            next.remove();
+            return;
+        }
+
+        if (decl.parent.selector && matchAny(options.selectorBlackList, decl.parent.selector)) {
+            return;
+        }
+
+        decl.value = decl.value.replace(PX_REGEXP, (match, value) => {
+            const px = parseFloat(value);
+
+            if (!value || px <= (options.minPixelValue || 0)) {
+                return match;
+            }
+
+            return convert(px);
+        });
+    });
+};
+
+module.exports = pxUnit;
@@ -0,0 +1,195 @@
+'use strict';
+
+const minimatch = require('minimatch');
+const {escapeRegExp, toAsset} = require('./util');
+
+// files 中可以使用的文件类型
+const FILE_TYPES = {
+    html: /\.html$/,
+    js: /\.js$/,
+    css: /\.css$/
+};
+const DEFAULT_FILES = ['html', 'js', 'css'];
+
+/**
+ * 按规则表替换构建产物中的文本，如不同环境的接口域名、上报 ID
+ * js、css 在压缩之后、SRI 计算之前替换，html 在页面生成时替换
+ * 构建结束时输出每条规则的替换次数，没有匹配到内容的规则给出警告；dryRun 时只统计不替换
+ * 差异化构建时 legacy 的 js 在 legacy 构建中替换，modern 构建跳过合并进来的 legacy js，只合并替换次数
+ */
+class ReplacePlugin {
+
+    /**
+     * @param options               {rules, env, configEnv, dryRun, report, target, legacy}
+     *                              rules 为 [{name, search, regexp, flags, replace, files}]
+     *                              search 为字符串时按原文匹配，regexp 为 true 或 search 为 RegExp 时按正则匹配
+     *                              flags 默认 g，总是替换全部匹配，没有 g 时自动加上
+     *                              replace 为字符串，或按环境区分的 {test, prod, development, production, default}，
+     *                              依次取配置环境 configEnv（--env、FEFLOW_ENV）、构建环境 env、default 的值，都没有值的规则不执行
+     *                              files 为 html、js、css 或匹配资源名的 glob，默认 ['html', 'js', 'css']
+     *                              report 为 false 时不输出替换结果，如差异化构建的 legacy 构建
+     *                              target、legacy 为差异化构建的版本和共享的 legacy 构建结果，legacy 的替换次数记录在 legacy.replaceCounts
+     */
+    constructor(options) {
+        this.options = Object.assign({report: true}, options);
+        this.rules = (this.options.rules || []).map((rule, index) => this.normalizeRule(rule, index));
+    }
+
+    apply(compiler) {
+        let counts = [];
+
+        compiler.plugin('this-compilation', (compilation) => {
+            counts = this.rules.map(() => 0);
+
+            compilation.plugin('optimize-assets', (assets, callback) => {
+                Object.keys(assets).forEach((name) => {
+                    if (this.isSkipped(name)) {
+                        return;
+                    }
+
+                    const source = assets[name].source();
+
+                    // html 在生成页面时替换
+                    if (typeof source !== 'string' || FILE_TYPES.html.test(name.replace(/\?.*/, ''))) {
+                        return;
+                    }
+
+                    const replaced = this.replace(source, name, counts);
+                    if (replaced !== source) {
+                        assets[name] = toAsset(replaced);
+                    }
+                });
+                callback();
+            });
+
+            compilation.plugin('html-webpack-plugin-after-html-processing', (args, callback) => {
+                args.html = this.replace(args.html, args.outputName, counts);
+                callback(null, args);
+            });
+        });
+
+        // 需要在页面生成之后执行
+        compiler.plugin('emit', (compilation, callback) => {
+            if (this.options.target === 'legacy') {
+                this.options.legacy.replaceCounts = counts;
+            }
+            if (this.options.report) {
+                this.report(compilation, counts);
+            }
+            callback();
+        });
+    }
+
+    /**
+     * @param rule
+     * @param index
+     * @returns {{name: string, search: RegExp, value: string, files: Array}}
+     * @private
+     */
+    normalizeRule(rule, index) {
+        if (rule.search === undefined || rule.search === '') {
+            throw new Error(`replace 第 ${index + 1} 条规则缺少 search`);
+        }
+
+        const flags = rule.search instanceof RegExp ? rule.search.flags : (rule.flags || 'g');
+        const search = new RegExp(
+            rule.search instanceof RegExp ? rule.search.source : (rule.regexp ? rule.search : escapeRegExp(rule.search)),
+            flags.indexOf('g') === -1 ? `${flags}g` : flags
+        );
+        const value = rule.replace !== null && typeof rule.replace === 'object'
+            ? [this.options.configEnv, this.options.env, 'default']
+                .filter((env) => env && rule.replace[env] !== undefined)
+                .map((env) => rule.replace[env])[0]
+            : rule.replace;
+
+        return {
+            name: rule.name || String(rule.search),
+            search,
+            value: value === undefined ? undefined : String(value),
+            files: [].concat(rule.files || DEFAULT_FILES)
+        };
+    }
+
+    /**
+     * 差异化构建中不需要替换的资源：legacy 构建只输出 js，modern 构建中合并进来的 legacy js 已经替换过
+     * @param name                  资源名
+     * @returns {boolean}
+     * @private
+     */
+    isSkipped(name) {
+        const {target, legacy} = this.options;
+
+        if (target === 'legacy') {
+            return !FILE_TYPES.js.test(name.replace(/\?.*/, ''));
+        }
+        return target === 'modern' && !!legacy && legacy.assets[name] !== undefined;
+    }
+
+    /**
+     * 输出中使用的环境名
+     * @returns {string}
+     * @private
+     */
+    getEnvName() {
+        const {configEnv, env} = this.options;
+        return configEnv && configEnv !== env ? `${configEnv} (${env})` : env;
+    }
+
+    /**
+     * 对单个文件执行所有匹配的规则
+     * @param source
+     * @param name                  资源名
+     * @param counts                每条规则的替换次数
+     * @returns {string}
+     * @private
+     */
+    replace(source, name, counts) {
+        const file = name.replace(/\?.*/, '');
+
+        return this.rules.reduce((result, rule, index) => {
+            const matched = rule.value !== undefined && rule.files.some((pattern) => {
+                return FILE_TYPES[pattern] ? FILE_TYPES[pattern].test(file) : minimatch(file, pattern);
+            });
+
+            if (!matched) {
+                return result;
+            }
+
+            rule.search.lastIndex = 0;
+            const count = (result.match(rule.search) || []).length;
+
+            counts[index] += count;
+            return count && !this.options.dryRun ? result.replace(rule.search, rule.value) : result;
+        }, source);
+    }
+
+    /**
+     * 输出每条规则的替换次数
+     * @param compilation
+     * @param counts
+     * @private
+     */
+    report(compilation, counts) {
+        if (!this.rules.length) {
+            return;
+        }
+
+        const legacyCounts = this.options.target === 'modern' && this.options.legacy.replaceCounts;
+        const lines = this.rules.map((rule, index) => {
+            if (rule.value === undefined) {
+                return `  ${rule.name}: 当前环境 ${this.getEnvName()} 没有配置替换值，跳过`;
+            }
+
+            const legacyCount = legacyCounts ? legacyCounts[index] : 0;
+
+            if (!counts[index] && !legacyCount) {
+                compilation.warnings.push(new Error(`文本替换规则 ${rule.name} 没有匹配到任何内容`));
+            }
+            return `  ${rule.name}: ${counts[index]} 处${legacyCounts ? `，legacy js ${legacyCount} 处` : ''}`;
+        });
+
+        console.log(`文本替换${this.options.dryRun ? ' (dry run，未修改文件)' : ''}:\n${lines.join('\n')}`);
+    }
+}
+
+module.exports = ReplacePlugin;
@@ -0,0 +1,431 @@
+'use strict';
+
+// 文本替换规则的声明，replace 为数组和对象时共用
+const replaceRule = {
+    type: 'object',
+    required: ['search', 'replace'],
+    properties: {
+        name: {type: 'string', description: '规则名称，用于输出替换结果'},
+        search: {type: ['string', 'object'], description: '查找的字符串或正则'},
+        regexp: {type: 'boolean', description: 'search 为字符串时是否按正则匹配'},
+        flags: {type: 'string', description: '正则的 flags，默认 g，没有 g 时自动加上'},
+        replace: {type: ['string', 'number', 'object'], description: '替换值，或按 --env、FEFLOW_ENV 或构建环境区分的 {test, prod, production, default}'},
+        files: {type: ['string', 'array'], description: 'html、js、css 或匹配资源名的 glob，默认 ["html", "js", "css"]'}
+    }
+};
+
+/**
+ * builderOptions 中构建器会读取的配置项声明
+ * type        支持 string、number、boolean、object、array、function，多种类型时用数组表示
+ * properties  object 类型的子配置项声明，未声明时不校验子配置项
+ * items       array 类型中每一项的声明
+ * required    object 类型中必须存在的子配置项
+ */
+const builderOptions = {
+    moduleName: {type: 'string', description: '业务模块名，用于资源路径前缀'},
+    bizName: {type: 'string', description: '业务名，用于资源路径前缀'},
+    domain: {type: 'string', description: '页面所在域名'},
+    cdn: {type: 'string', description: 'CDN 域名'},
+    product: {type: 'string', description: 'CDN 对应的产品'},
+    port: {type: 'number', description: '开发环境 dev server 端口'},
+    devServer: {
+        type: 'object',
+        description: '本地开发服务器配置',
+        properties: {
+            mock: {type: ['string', 'boolean'], description: 'mock 接口目录，默认 mock，为 false 时关闭'},
+            proxy: {
+                type: 'array',
+                description: '代理规则，按声明顺序匹配',
+                items: {
+                    type: 'object',
+                    required: ['target'],
+                    properties: {
+                        path: {type: ['string', 'array'], description: '匹配的路径前缀或 glob'},
+                        regex: {type: ['string', 'object'], description: '匹配路径的正则'},
+                        target: {type: 'string', description: '代理目标，如 https://test.now.qq.com'},
+                        pathRewrite: {type: ['object', 'function'], description: '路径改写，如 {"^/api": ""}'},
+                        headers: {type: 'object', description: '注入的请求头'},
+                        cookieDomainRewrite: {type: ['string', 'object', 'boolean'], description: '改写响应 cookie 的 domain'},
+                        changeOrigin: {type: 'boolean', description: '是否把 Host 改为目标域名，默认 true'},
+                        secure: {type: 'boolean', description: '是否校验目标的 https 证书'}
+                    }
+                }
+            },
+            hosts: {type: 'object', description: '域名到 IP 的映射，如 {"api.now.qq.com": "10.0.0.1"}'},
+            https: {
+                type: ['boolean', 'object'],
+                description: '开启 https，为 true 时使用自签名证书',
+                required: ['key', 'cert'],
+                properties: {
+                    key: {type: 'string', description: '私钥文件路径'},
+                    cert: {type: 'string', description: '证书文件路径'}
+                }
+            }
+        }
+    },
+    outDir: {type: 'string', description: '输出目录，默认 public'},
+    useHash: {type: 'boolean', description: '资源文件名是否带 hash'},
+    akbid: {type: ['string', 'number'], description: '图片资源的 _bid 参数'},
+    serviceWorker: {
+        type: ['boolean', 'object'],
+        description: '生产环境是否生成 service worker，预缓存页面资源并在页面中自动注册；page.json 中 serviceWorker 为 false 的页面不处理',
+        properties: {
+            mode: {type: 'string', enum: ['project', 'page'], description: 'project 所有页面共用一个 sw.js，page 每个页面一个，默认 project'},
+            cacheName: {type: 'string', description: '缓存名前缀，默认 feflow'},
+            runtimeCaching: {
+                type: 'array',
+                description: '运行时缓存规则，按顺序匹配；externals 中的 CDN 地址默认按 cacheFirst 缓存',
+                items: {
+                    type: 'object',
+                    required: ['urlPattern'],
+                    properties: {
+                        urlPattern: {type: ['string', 'object'], description: '匹配请求地址的正则'},
+                        handler: {
+                            type: 'string',
+                            enum: ['cacheFirst', 'networkFirst', 'staleWhileRevalidate', 'networkOnly'],
+                            description: 'cacheFirst、networkFirst、staleWhileRevalidate 或 networkOnly，默认 networkFirst'
+                        },
+                        cacheName: {type: 'string', description: '缓存名'},
+                        maxEntries: {type: 'number', description: '最多缓存的请求数'}
+                    }
+                }
+            },
+            manifest: {
+                type: ['object', 'boolean'],
+                description: 'web app manifest 的内容，如 {name, short_name, icons, theme_color}，为 false 时不生成；page 模式下与 page.json 中的 manifest 合并'
+            }
+        }
+    },
+    replace: {
+        type: ['array', 'object'],
+        description: '文本替换规则表，按顺序执行；为对象时为 {rules, dryRun}，dryRun 为 true 时只输出替换次数，不修改文件',
+        items: replaceRule,
+        properties: {
+            rules: {type: 'array', description: '同 replace 为数组时', items: replaceRule},
+            dryRun: {type: 'boolean', description: '只输出替换次数，不修改文件'}
+        }
+    },
+    assetManifest: {type: 'boolean', description: '是否生成 asset-manifest.json，记录页面资源的地址、大小和 SRI hash，默认 true；开发环境同样生成，由 dev server 从内存中提供'},
+    assets: {
+        type: 'object',
+        description: '图片、富媒体、字体和 css 的命名规则：{prefix}/{dirs[type]}/[name]_[hash].[ext]?{query}',
+        properties: {
+            prefix: {type: 'string', description: '生产环境的路径前缀，默认 moduleName/bizName'},
+            dirs: {
+                type: 'object',
+                description: '各类资源的输出目录',
+                properties: {
+                    img: {type: 'string', description: '默认 img'},
+                    media: {type: 'string', description: '默认 media'},
+                    font: {type: 'string', description: '默认 font'},
+                    css: {type: 'string', description: '默认为空，即输出在路径前缀下'}
+                }
+            },
+            hashLength: {type: 'number', description: 'hash 长度，默认 8'},
+            query: {type: 'string', description: '文件名后的查询参数，如 _bid=152，图片默认使用 akbid'},
+            jsQuery: {type: ['string', 'boolean'], description: '业务 js 文件名后的查询参数，默认 _bid=152，为 false 时不带'}
+        }
+    },
+    images: {
+        type: 'object',
+        description: '图片处理配置',
+        properties: {
+            inlineLimit: {type: 'number', description: '小于该字节数的图片内联为 base64，默认不内联'},
+            optimize: {type: 'boolean', description: '生产环境是否压缩图片，默认 true'},
+            lossy: {type: 'boolean', description: 'png、jpg 是否使用有损压缩，默认 false'},
+            quality: {type: 'number', description: '有损压缩、WebP 和多种宽度图片的质量，默认 80'},
+            webp: {type: 'boolean', description: '是否给 png、jpg 生成 WebP 图片，文件名为原文件名加 .webp'},
+            sizes: {type: 'array', items: {type: 'number'}, description: '带 ?responsive 引用的图片生成的宽度'},
+            report: {type: 'boolean', description: '是否在输出目录生成 image-report.json，默认 true'}
+        }
+    },
+    minifyHTML: {type: 'boolean', description: '是否压缩 html'},
+    minifyCSS: {type: 'boolean', description: '是否压缩 css'},
+    minifyJS: {type: 'boolean', description: '是否压缩 js'},
+    inject: {type: 'boolean', description: '是否自动注入打包出来的 js 和 css'},
+    inlineCSS: {type: 'boolean', description: '是否 inline 打包出来的 css'},
+    usePx2rem: {type: 'boolean', description: '是否把 px 转换为 rem，等同于 unit: {mode: "rem"}'},
+    remUnit: {type: 'number', description: 'rem 单位，默认 75'},
+    remPrecision: {type: 'number', description: 'rem 精度，默认 8'},
+    unit: {
+        type: 'object',
+        description: '移动端单位转换，把 px 按设计稿宽度转换为 rem 或 vw，页面可以在 page.json 中配置 designWidth',
+        properties: {
+            mode: {type: 'string', enum: ['rem', 'vw'], description: 'rem 或 vw，默认 rem'},
+            designWidth: {type: 'number', description: '设计稿宽度，默认 750'},
+            designWidths: {type: 'object', description: '目录对应的设计稿宽度，如 {"src/pages/act": 375}'},
+            remUnit: {type: 'number', description: '设计稿下 1rem 对应的 px，默认 designWidth / 10'},
+            precision: {type: 'number', description: '转换后的精度，默认 8'},
+            minPixelValue: {type: 'number', description: '小于等于该值的 px 不转换，默认 0'},
+            selectorBlackList: {type: 'array', description: '不转换的选择器，字符串按包含匹配'},
+            exclude: {type: 'array', description: '不转换的文件，字符串按路径包含匹配，默认 node_modules 下的文件，配置为 [] 时全部转换'}
+        }
+    },
+    lessLoaderOptions: {type: 'object', description: 'less-loader 配置'},
+    browsers: {type: ['string', 'array'], description: '项目的目标浏览器，babel 和 autoprefixer 共用，默认读取项目的 browserslist 配置'},
+    cssModules: {
+        type: ['boolean', 'object'],
+        description: '是否对 *.module.css、*.module.scss、*.module.less 开启 CSS Modules',
+        properties: {
+            test: {type: ['string', 'object'], description: '开启 CSS Modules 的文件正则'},
+            localIdentName: {type: 'string', description: '生成的类名格式'}
+        }
+    },
+    postcss: {
+        type: 'object',
+        description: 'PostCSS 配置',
+        properties: {
+            plugins: {type: 'array', description: '在 autoprefixer 之后执行的插件，如 ["postcss-pxtorem", {}]'}
+        }
+    },
+    jsLoader: {type: 'object', description: 'babel-loader 配置'},
+    babel: {
+        type: 'object',
+        description: 'babel 配置',
+        properties: {
+            presets: {type: 'array', description: '追加的 preset'},
+            plugins: {type: 'array', description: '追加的 plugin'},
+            removePresets: {type: 'array', items: {type: 'string'}, description: '去掉的默认 preset，如 stage-0'},
+            removePlugins: {type: 'array', items: {type: 'string'}, description: '去掉的默认 plugin，如 transform-decorators-legacy'},
+            importLibraries: {
+                type: 'array',
+                description: '按需加载的组件库，默认 antd',
+                items: {
+                    type: 'object',
+                    required: ['libraryName'],
+                    properties: {
+                        libraryName: {type: 'string'},
+                        libraryDirectory: {type: 'string'},
+                        style: {type: ['boolean', 'string', 'function']},
+                        styleLibraryDirectory: {type: 'string'},
+                        camel2DashComponentName: {type: 'boolean'},
+                        camel2UnderlineComponentName: {type: 'boolean'},
+                        transformToDefaultImport: {type: 'boolean'},
+                        customName: {type: ['string', 'function']},
+                        customStyleName: {type: ['string', 'function']}
+                    }
+                }
+            },
+            babelrc: {type: 'boolean', description: '是否读取项目的 .babelrc 和 babel.config.js，默认 true'},
+            targets: {type: ['string', 'array'], description: 'browserslist 查询，默认使用 browsers 配置'}
+        }
+    },
+    useTreeShaking: {type: 'boolean', description: '是否开启 js tree shaking'},
+    useCssTreeShaking: {type: 'boolean', description: '是否开启 css tree shaking'},
+    useTs: {type: 'boolean', description: '是否支持 TypeScript'},
+    typescript: {
+        type: 'object',
+        description: 'TypeScript 配置，配置后自动开启 TypeScript 支持',
+        properties: {
+            configFile: {type: 'string', description: 'tsconfig 路径，相对项目根目录，默认 tsconfig.json'},
+            transpileOnly: {type: 'boolean', description: '是否只转译不做类型检查，默认 false'}
+        }
+    },
+    modern: {type: 'boolean', description: '生产环境是否同时构建 modern 和 legacy 两套 js，分别通过 type="module" 和 nomodule 加载'},
+    alias: {type: 'object', description: '自定义 alias'},
+    pages: {
+        type: 'object',
+        description: '页面查找规则',
+        properties: {
+            entryFiles: {type: 'array', items: {type: 'string'}, description: '页面入口文件名，默认 init.js、init.ts、init.tsx'},
+            templateFiles: {type: 'array', items: {type: 'string'}, description: '页面模板文件名，默认按 engine 为 index.html、index.ejs 或 index.hbs'},
+            engine: {type: 'string', enum: ['html', 'ejs', 'handlebars'], description: '页面模板引擎，默认 html'},
+            layoutDir: {type: 'string', description: '布局模板目录，相对项目根目录，默认 src/layouts'},
+            partialDir: {type: 'string', description: '公共模板目录，相对项目根目录，默认 src/partials'},
+            layout: {type: ['string', 'boolean'], description: '页面默认使用的布局名，page.json 中的 layout 优先，布局中通过 body 输出页面内容，EJS 使用 <%- body %>，Handlebars 使用 {{body}}'},
+            data: {type: 'object', description: '所有页面模板共用的数据，与 page.json 中的 data 合并'}
+        }
+    },
+    splitChunks: {
+        type: ['boolean', 'object'],
+        description: 'Code split 策略，为 true 时开启 vendor、common 和 runtime',
+        properties: {
+            vendor: {type: 'boolean', description: '抽取 node_modules 中的模块到 vendor'},
+            common: {type: 'boolean', description: '抽取多个页面共用的模块到 common'},
+            minChunks: {type: 'number', description: '模块被多少个页面引用时抽取到 common，默认 2'},
+            runtime: {type: 'boolean', description: '抽取 webpack runtime 到 manifest'}
+        }
+    },
+    externals: {
+        type: 'array',
+        description: '不打包进 bundle 的外部依赖',
+        items: {
+            type: ['string', 'object'],
+            description: '内置登记的库名，如 react，或 {module, entry, global, ...}',
+            required: ['module'],
+            properties: {
+                module: {type: 'string'},
+                entry: {type: ['string', 'object', 'array'], description: '不声明时使用登记的文件，可以使用 {name}、{version} 占位符'},
+                global: {type: 'string'},
+                version: {type: 'string', description: '版本号，默认为项目中安装的版本'},
+                local: {type: 'boolean', description: '是否复制到输出目录下，不使用 CDN'},
+                cdn: {type: 'string', description: 'CDN 地址模板，同 externalsOptions.cdn'},
+                supplements: {type: 'array'},
+                append: {type: 'boolean'}
+            }
+        }
+    },
+    externalsOptions: {
+        type: 'object',
+        description: '内置登记的外部依赖（react、react-dom、vue、lodash 等）的地址配置',
+        properties: {
+            cdn: {type: 'string', description: 'CDN 地址模板，默认 //unpkg.com/{name}@{version}/{path}'},
+            local: {type: 'boolean', description: '是否复制到输出目录的 vendor 下，随页面和离线包一起发布，默认 false'}
+        }
+    },
+    offline: {
+        type: ['boolean', 'object'],
+        description: '是否打离线包，为对象时开启离线包并作为离线包配置',
+        properties: {
+            version: {type: ['string', 'number'], description: '离线包版本号，默认按离线包内所有文件的内容生成'},
+            base: {
+                type: 'string',
+                description: '上一个版本的离线包，zip 文件或解压后的目录，相对项目根目录；指定时额外生成增量包 offline-diff.zip，不能放在会被清空的输出目录下'
+            },
+            rules: {
+                type: 'array',
+                description: '按顺序执行的文本文件改写规则，默认 ["cdn", "crossorigin", "query", "integrity"]',
+                items: {
+                    type: ['string', 'object', 'function'],
+                    description: '内置规则名称，{rule, test}、{test, search, replace}、{test, transform} 或 function(source, assetPath)',
+                    properties: {
+                        rule: {type: 'string', description: '内置规则名称：cdn、crossorigin、query、integrity'},
+                        test: {type: ['string', 'object'], description: '作用的文件，匹配资源名的正则'},
+                        search: {type: ['string', 'object'], description: '替换的字符串或正则'},
+                        replace: {type: ['string', 'function'], description: '替换后的内容，默认为空'},
+                        transform: {type: 'function', description: '自定义改写 function(source, assetPath)'}
+                    }
+                }
+            },
+            integrity: {type: 'string', enum: ['remove', 'recompute'], description: 'remove 去掉 integrity，recompute 按改写后的内容重新计算，默认 remove'},
+            verify: {type: 'boolean', description: '是否检查离线包中剩余的 CDN 引用，默认 true'}
+        }
+    },
+    packageName: {type: 'string', description: '构建器包名，用于查找 loader'},
+    runtime: {type: 'string', description: '捷豹平台的 runtime 名称'}
+};
+
+/**
+ * 获取值的类型，区分 array 与 null
+ * @param value
+ * @returns {string}
+ */
+const typeOf = (value) => {
+    if (Array.isArray(value)) {
+        return 'array';
+    }
+    if (value === null) {
+        return 'null';
+    }
+    return typeof value;
+};
+
+/**
+ * 计算两个字符串的编辑距离
+ * @param a
+ * @param b
+ * @returns {number}
+ */
+const distance = (a, b) => {
+    let prev = [];
+
+    for (let j = 0; j <= b.length; j++) {
+        prev[j] = j;
+    }
+
+    for (let i = 1; i <= a.length; i++) {
+        const curr = [i];
+
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            curr[j] = Math.min(prev[j] + 1, curr[j - 1] + 1, prev[j - 1] + cost);
+        }
+        prev = curr;
+    }
+
+    return prev[b.length];
+};
+
+/**
+ * 在候选配置项中找出与 key 最接近的一个，用于 "did you mean" 提示
+ * @param key          用户填写的配置项
+ * @param candidates   合法的配置项列表
+ * @returns {string|undefined}
+ */
+const suggest = (key, candidates) => {
+    let best;
+    let bestDistance = Infinity;
+
+    candidates.forEach((candidate) => {
+        const d = key.toLowerCase() === candidate.toLowerCase()
+            ? 0
+            : distance(key.toLowerCase(), candidate.toLowerCase());
+
+        if (d < bestDistance) {
+            best = candidate;
+            bestDistance = d;
+        }
+    });
+
+    return bestDistance <= Math.max(2, Math.floor(key.length / 3)) ? best : undefined;
+};
+
+/**
+ * 按声明校验配置，返回所有错误
+ * @param value        需要校验的值
+ * @param rule         配置项声明
+ * @param keyPath      当前配置项路径，如 builderOptions.externals[0].module
+ * @param errors       默认为[]
+ * @returns {Array}    [{keyPath, expected, actual, suggestion}]，取值不在 enum 中时 expected 为 enum
+ */
+const validate = (value, rule, keyPath, errors) => {
+    errors = errors || [];
+
+    const expected = [].concat(rule.type);
+    const actual = typeOf(value);
+
+    if (expected.indexOf(actual) === -1) {
+        errors.push({keyPath, expected: expected.join(' | '), actual});
+        return errors;
+    }
+
+    if (rule.enum && rule.enum.indexOf(value) === -1) {
+        errors.push({keyPath, expected: rule.enum, actual: value, suggestion: suggest(String(value), rule.enum.map(String))});
+        return errors;
+    }
+
+    if (actual === 'object' && rule.properties) {
+        const keys = Object.keys(rule.properties);
+
+        (rule.required || []).forEach((key) => {
+            if (value[key] === undefined) {
+                errors.push({keyPath: `${keyPath}.${key}`, expected: [].concat(rule.properties[key].type).join(' | '), actual: 'undefined'});
+            }
+        });
+
+        Object.keys(value).forEach((key) => {
+            if (value[key] === undefined) {
+                return;
+            }
+
+            if (keys.indexOf(key) === -1) {
+                errors.push({keyPath: `${keyPath}.${key}`, unknown: true, suggestion: suggest(key, keys)});
+            } else {
+                validate(value[key], rule.properties[key], `${keyPath}.${key}`, errors);
+            }
+        });
+    }
+
+    if (actual === 'array' && rule.items) {
+        value.forEach((item, index) => {
+            validate(item, rule.items, `${keyPath}[${index}]`, errors);
+        });
+    }
+
+    return errors;
+};
+
+exports.builderOptions = builderOptions;
+exports.typeOf = typeOf;
+exports.suggest = suggest;
+exports.validate = validate;
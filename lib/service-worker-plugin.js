@@ -0,0 +1,221 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const AssetManifestPlugin = require('./asset-manifest-plugin');
+const {escapeRegExp, toAsset} = require('./util');
+
+const RUNTIME_TEMPLATE = path.join(__dirname, 'templates/service-worker.js');
+const HANDLERS = ['cacheFirst', 'networkFirst', 'staleWhileRevalidate', 'networkOnly'];
+
+/**
+ * 外部依赖地址对应的运行时缓存正则，忽略协议和查询参数
+ * @param url                   如 //11.url.cn/now/lib/15.1.0/react.min.js?_bid=3123
+ * @returns {string}
+ */
+const toUrlPattern = (url) => {
+    const pathname = url.split(/[?#]/)[0];
+
+    if (/^(https?:)?\/\//.test(pathname)) {
+        return `^https?://${escapeRegExp(pathname.replace(/^(https?:)?\/\//, ''))}`;
+    }
+    return `^https?://[^/]+${escapeRegExp(pathname.replace(/^\/?/, '/'))}`;
+};
+
+/**
+ * 为页面生成 service worker 和 web app manifest，并在页面中注入注册代码
+ * service worker 预缓存页面引用的 js、css、图片和页面本身，外部依赖等按 runtimeCaching 规则在运行时缓存
+ * mode 为 project 时所有页面共用一个 service worker，为 page 时每个页面一个，作用域只包含页面自身
+ */
+class ServiceWorkerPlugin {
+
+    /**
+     * @param options               {pages, mode, htmlPrefix, publicPath, cacheName, runtimeCaching, externals, manifest, legacy}
+     *                              pages 为 setMultiplePage 返回的页面列表，page.json 中 serviceWorker 为 false 的页面不处理
+     *                              runtimeCaching 为 [{urlPattern, handler, cacheName, maxEntries}]，按顺序匹配
+     *                              externals 为外部依赖的地址，默认按 cacheFirst 缓存
+     *                              manifest 为 web app manifest 的内容，为 false 时不生成；page 模式下与 page.json 中的 manifest 合并
+     *                              legacy 为差异化构建共享的 legacy 构建结果，legacy 的 js 同样预缓存，供不支持 module 的浏览器使用
+     */
+    constructor(options) {
+        this.options = Object.assign({
+            mode: 'project',
+            htmlPrefix: '',
+            publicPath: '/',
+            cacheName: 'feflow',
+            runtimeCaching: [],
+            externals: []
+        }, options);
+
+        if (['project', 'page'].indexOf(this.options.mode) === -1) {
+            throw new Error(`serviceWorker.mode 只支持 project 或 page，当前为 ${this.options.mode}`);
+        }
+
+        this.runtimeCaching = this.getRuntimeCaching();
+        this.workers = this.getWorkers();
+    }
+
+    apply(compiler) {
+        compiler.plugin('this-compilation', (compilation) => {
+            compilation.plugin('html-webpack-plugin-after-html-processing', (args, callback) => {
+                const worker = this.workers.find((item) => item.pages.some((page) => page.plugin === args.plugin));
+
+                if (worker) {
+                    const page = worker.pages.find((item) => item.plugin === args.plugin);
+                    args.html = this.injectRegistration(args.html, worker, page);
+                }
+                callback(null, args);
+            });
+        });
+
+        // 需要在页面生成之后、离线包和 asset-manifest.json 之前执行
+        compiler.plugin('emit', (compilation, callback) => {
+            this.workers.forEach((worker) => {
+                compilation.assets[worker.file] = toAsset(this.createServiceWorker(compilation, worker));
+
+                if (worker.manifestFile) {
+                    compilation.assets[worker.manifestFile] = toAsset(JSON.stringify(worker.manifest, null, 2));
+                }
+            });
+            callback();
+        });
+    }
+
+    /**
+     * 按 mode 划分 service worker，每个 service worker 对应的文件、作用域和页面
+     * @returns {Array}             [{file, scope, pages, manifestFile, manifest}]
+     * @private
+     */
+    getWorkers() {
+        const {mode, htmlPrefix, manifest} = this.options;
+        const prefix = htmlPrefix ? `${htmlPrefix}/` : '';
+        const pages = (this.options.pages || []).filter((page) => page.config.serviceWorker !== false);
+
+        if (!pages.length) {
+            return [];
+        }
+
+        if (mode === 'project') {
+            return [{
+                file: `${prefix}sw.js`,
+                scope: `/${prefix}`,
+                pages,
+                manifestFile: manifest === false ? undefined : `${prefix}manifest.json`,
+                manifest: Object.assign({start_url: `/${prefix}`, scope: `/${prefix}`, display: 'standalone'}, manifest)
+            }];
+        }
+
+        return pages.map((page) => ({
+            file: `${prefix}${page.name}.sw.js`,
+            scope: `/${page.filename}`,
+            pages: [page],
+            manifestFile: manifest === false ? undefined : `${prefix}${page.name}.manifest.json`,
+            manifest: Object.assign(
+                {name: page.config.title, start_url: `/${page.filename}`, scope: `/${page.filename}`, display: 'standalone'},
+                manifest,
+                page.config.manifest
+            )
+        }));
+    }
+
+    /**
+     * 运行时缓存规则，外部依赖的规则排在配置的规则之后
+     * @returns {Array}             [{pattern, flags, handler, cacheName, maxEntries}]
+     * @private
+     */
+    getRuntimeCaching() {
+        const externals = this.options.externals.length ? [{
+            urlPattern: new RegExp(this.options.externals.map(toUrlPattern).join('|')),
+            handler: 'cacheFirst',
+            cacheName: 'externals'
+        }] : [];
+
+        return this.options.runtimeCaching.concat(externals).map((rule, index) => {
+            const handler = rule.handler || 'networkFirst';
+            const urlPattern = rule.urlPattern instanceof RegExp ? rule.urlPattern : new RegExp(rule.urlPattern);
+
+            if (HANDLERS.indexOf(handler) === -1) {
+                throw new Error(`serviceWorker.runtimeCaching[${index}].handler 只支持 ${HANDLERS.join('、')}，当前为 ${handler}`);
+            }
+
+            return {
+                pattern: urlPattern.source,
+                flags: urlPattern.flags,
+                handler,
+                cacheName: rule.cacheName || `rule-${index}`,
+                maxEntries: rule.maxEntries
+            };
+        });
+    }
+
+    /**
+     * 在页面中注入 web app manifest 和 service worker 的注册代码
+     * @param html
+     * @param worker
+     * @param page
+     * @returns {string}
+     * @private
+     */
+    injectRegistration(html, worker, page) {
+        const script = '<script>if("serviceWorker" in navigator){window.addEventListener("load",function(){'
+            + `navigator.serviceWorker.register(${JSON.stringify(`/${worker.file}`)},{scope:${JSON.stringify(worker.scope)}})`
+            + '})}</script>';
+        const link = worker.manifestFile ? `<link rel="manifest" href="/${worker.manifestFile}">` : '';
+
+        if (link && html.indexOf('</head>') !== -1) {
+            html = html.replace('</head>', `${link}</head>`);
+        } else {
+            html = link + html;
+        }
+
+        return html.indexOf('</body>') !== -1
+            ? html.replace('</body>', `${script}</body>`)
+            : html + script;
+    }
+
+    /**
+     * @param compilation
+     * @param worker
+     * @returns {string}
+     * @private
+     */
+    createServiceWorker(compilation, worker) {
+        const precache = [];
+        const pages = [];
+
+        worker.pages.forEach((page) => {
+            const names = AssetManifestPlugin.getPageAssetNames(compilation, page, {legacy: this.options.legacy});
+
+            names.js.concat(names.legacyJs, names.css, names.images).forEach((name) => {
+                const url = this.options.publicPath + name;
+
+                if (precache.indexOf(url) === -1) {
+                    precache.push(url);
+                }
+            });
+
+            if (names.html) {
+                pages.push(`/${names.html}`);
+            }
+        });
+
+        // 预缓存的资源和页面内容变化时更新版本号，旧版本的预缓存在 activate 时删除
+        const hash = crypto.createHash('sha256');
+        precache.map((url) => url.slice(this.options.publicPath.length))
+            .concat(pages.map((url) => url.slice(1)))
+            .forEach((name) => hash.update(`${name}\n`).update(compilation.assets[name].source()));
+
+        const config = {
+            cacheName: this.options.cacheName,
+            version: hash.digest('hex').slice(0, 16),
+            precache: precache.concat(pages),
+            pages,
+            runtimeCaching: this.runtimeCaching
+        };
+
+        return `var config = ${JSON.stringify(config, null, 2)};\n\n${fs.readFileSync(RUNTIME_TEMPLATE, 'utf-8')}`;
+    }
+}
+
+module.exports = ServiceWorkerPlugin;
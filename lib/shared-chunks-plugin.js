@@ -0,0 +1,56 @@
+'use strict';
+
+/**
+ * 把公共 chunk 自动注入到页面的 html 中
+ * CommonsChunkPlugin 抽取公共模块前记录每个页面包含的模块，抽取后只给页面注入
+ * 含有它所依赖模块的公共 chunk 以及 runtime 所在的 chunk，并按 sharedChunks 的顺序加载
+ */
+class SharedChunksPlugin {
+
+    /**
+     * @param options               {pages: [{name, chunks, plugin}], sharedChunks: 公共 chunk 名称，按加载顺序}
+     *                              pages 中 name 为页面 chunk 名称，chunks 为额外引入的 chunk，plugin 为页面的 HtmlWebpackPlugin
+     */
+    constructor(options) {
+        this.pages = options.pages;
+        this.sharedChunks = options.sharedChunks;
+    }
+
+    apply(compiler) {
+        compiler.plugin('this-compilation', (compilation) => {
+            const pageModules = {};
+            let recorded = false;
+
+            // 需要在 CommonsChunkPlugin 之前注册，才能拿到抽取前页面包含的模块
+            compilation.plugin('optimize-chunks', (chunks) => {
+                if (recorded) {
+                    return;
+                }
+                recorded = true;
+
+                chunks.forEach((chunk) => {
+                    if (this.pages.some((page) => page.name === chunk.name)) {
+                        pageModules[chunk.name] = chunk.getModules();
+                    }
+                });
+            });
+
+            compilation.plugin('after-optimize-chunks', (chunks) => {
+                const sharedChunks = this.sharedChunks
+                    .map((name) => chunks.filter((chunk) => chunk.name === name)[0])
+                    .filter(Boolean);
+
+                this.pages.forEach((page) => {
+                    const modules = pageModules[page.name] || [];
+                    const needed = sharedChunks
+                        .filter((chunk) => chunk.hasRuntime() || chunk.getModules().some((module) => modules.indexOf(module) !== -1))
+                        .map((chunk) => chunk.name);
+
+                    page.plugin.options.chunks = needed.concat(page.chunks || [], page.name);
+                });
+            });
+        });
+    }
+}
+
+module.exports = SharedChunksPlugin;
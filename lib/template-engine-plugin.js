@@ -0,0 +1,176 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const ejs = require('ejs');
+const Handlebars = require('handlebars');
+const AssetManifestPlugin = require('./asset-manifest-plugin');
+
+/**
+ * 支持的模板引擎，templateFiles 为未配置 pages.templateFiles 时的页面模板文件名，extensions 为布局和公共模板的扩展名
+ * render 接收模板内容、模板数据和 {filename, srcPath, partialDir}；safe 把页面渲染结果包装为布局中不转义输出的值
+ */
+const ENGINES = {
+    ejs: {
+        templateFiles: ['index.ejs'],
+        extensions: ['.ejs'],
+        // include('/partials/header') 以 src 为根目录，include('header') 先查找模板所在目录，再查找公共模板目录
+        render: (source, data, options) => ejs.render(source, data, {
+            filename: options.filename,
+            root: options.srcPath,
+            views: [options.partialDir]
+        }),
+        // 布局中使用 <%- body %> 输出
+        safe: (html) => html
+    },
+    handlebars: {
+        templateFiles: ['index.hbs', 'index.handlebars'],
+        extensions: ['.hbs', '.handlebars'],
+        // 公共模板目录下的文件注册为 partial，名称为相对目录去掉扩展名的路径，如 {{> common/header}}
+        render: (source, data, options) => {
+            const instance = Handlebars.create();
+
+            listFiles(options.partialDir, ENGINES.handlebars.extensions).forEach((file) => {
+                const name = path.relative(options.partialDir, file).replace(/\.[^.]+$/, '').split(path.sep).join('/');
+                instance.registerPartial(name, fs.readFileSync(file, 'utf-8'));
+            });
+
+            return instance.compile(source)(data);
+        },
+        // 布局中使用 {{body}} 或 {{{body}}} 输出都不会转义
+        safe: (html) => new Handlebars.SafeString(html)
+    }
+};
+
+/**
+ * 目录下指定扩展名的文件，包括子目录
+ * @param dir
+ * @param extensions
+ * @returns {Array}
+ */
+const listFiles = (dir, extensions) => {
+    if (!fs.existsSync(dir)) {
+        return [];
+    }
+
+    return fs.readdirSync(dir).reduce((files, name) => {
+        const file = path.join(dir, name);
+
+        if (fs.statSync(file).isDirectory()) {
+            return files.concat(listFiles(file, extensions));
+        }
+        return extensions.indexOf(path.extname(name)) !== -1 ? files.concat(file) : files;
+    }, []);
+};
+
+/**
+ * 使用 EJS、Handlebars 渲染页面模板，模板先经过 inline-loader、html-loader 处理语法糖和 src 中的资源，在生成页面时渲染，之后再注入 js、css
+ * 模板中可以使用的数据：
+ * page 为 page.json 的内容及页面的 name、filename；data 为 pages.data 与 page.json 中 data 合并的结果；
+ * env 为构建环境；options 为 builderOptions；assets 为页面的资源地址 {publicPath, js, css, images}；
+ * htmlWebpackPlugin 与 html-webpack-plugin 默认模板中的相同
+ * page.json 或 pages.layout 指定布局时，页面渲染的结果作为 body 再渲染布局模板，EJS 布局中需要使用 <%- body %>
+ */
+class TemplateEnginePlugin {
+
+    /**
+     * @param options               {engine, pages, env, builderOptions, publicPath, legacy, root, srcPath, layoutDir, partialDir, layout, data}
+     *                              pages 为 setMultiplePage 返回的页面列表
+     *                              root、srcPath 为项目根目录和 src 目录；layoutDir、partialDir 为布局和公共模板目录
+     *                              layout 为默认的布局名，page.json 中的 layout 优先，为 false 时不使用布局
+     */
+    constructor(options) {
+        this.options = Object.assign({publicPath: '/', data: {}}, options);
+        this.engine = TemplateEnginePlugin.getEngine(this.options.engine);
+    }
+
+    apply(compiler) {
+        const {layoutDir, partialDir} = this.options;
+
+        compiler.plugin('this-compilation', (compilation) => {
+            compilation.plugin('html-webpack-plugin-before-html-processing', (args, callback) => {
+                const page = (this.options.pages || []).find((item) => item.plugin === args.plugin);
+
+                if (!page) {
+                    callback(null, args);
+                    return;
+                }
+
+                try {
+                    args.html = this.render(compilation, page, args);
+                } catch (err) {
+                    callback(new Error(`${path.relative(this.options.root, page.template)}: 模板渲染失败 ${err.message}`));
+                    return;
+                }
+                callback(null, args);
+            });
+        });
+
+        // 布局和公共模板不经过 webpack 编译，开发环境下需要加入依赖才能在修改时重新构建
+        compiler.plugin('after-compile', (compilation, callback) => {
+            [layoutDir, partialDir]
+                .filter((dir) => dir && compilation.contextDependencies.indexOf(dir) === -1)
+                .forEach((dir) => compilation.contextDependencies.push(dir));
+            callback();
+        });
+    }
+
+    /**
+     * @param compilation
+     * @param page
+     * @param args                  html-webpack-plugin 的参数 {html, assets, plugin}
+     * @returns {string}
+     * @private
+     */
+    render(compilation, page, args) {
+        const {publicPath, root, srcPath, partialDir} = this.options;
+        const names = AssetManifestPlugin.getPageAssetNames(compilation, page, {legacy: this.options.legacy});
+        const data = {
+            page: Object.assign({}, page.config, {name: page.name, filename: page.filename}),
+            data: Object.assign({}, this.options.data, page.config.data),
+            env: this.options.env,
+            options: this.options.builderOptions,
+            assets: {
+                publicPath,
+                js: names.js.map((name) => publicPath + name),
+                css: names.css.map((name) => publicPath + name),
+                images: names.images.map((name) => publicPath + name)
+            },
+            htmlWebpackPlugin: {files: args.assets, options: args.plugin.options}
+        };
+
+        const body = this.engine.render(args.html, data, {filename: page.template, srcPath, partialDir});
+        const layout = page.config.layout !== undefined ? page.config.layout : this.options.layout;
+
+        if (!layout) {
+            return body;
+        }
+
+        const layoutFile = this.engine.extensions
+            .map((ext) => path.join(this.options.layoutDir, `${layout}${ext}`))
+            .filter((file) => fs.existsSync(file))[0];
+
+        if (!layoutFile) {
+            throw new Error(`找不到布局 ${layout}，请确认 ${path.relative(root, this.options.layoutDir)} 目录下存在 ${layout}${this.engine.extensions[0]}`);
+        }
+
+        return this.engine.render(
+            fs.readFileSync(layoutFile, 'utf-8'),
+            Object.assign({body: this.engine.safe(body)}, data),
+            {filename: layoutFile, srcPath, partialDir}
+        );
+    }
+}
+
+/**
+ * @param name                  ejs 或 handlebars
+ * @returns {{templateFiles: Array, extensions: Array, render: Function, safe: Function}}
+ */
+TemplateEnginePlugin.getEngine = (name) => {
+    if (!ENGINES[name]) {
+        throw new Error(`pages.engine 只支持 html、${Object.keys(ENGINES).join('、')}，当前为 ${name}`);
+    }
+    return ENGINES[name];
+};
+
+module.exports = TemplateEnginePlugin;
@@ -0,0 +1,150 @@
+/**
+ * ServiceWorkerPlugin 生成的 service worker 运行时，构建时在文件头部注入 config：
+ * {cacheName, version, precache: [资源地址], pages: [页面地址], runtimeCaching: [{pattern, flags, handler, cacheName, maxEntries}]}
+ * 带 hash 的资源预缓存后优先读缓存；页面优先请求网络，失败时使用缓存
+ */
+/* eslint-env serviceworker */
+/* global config */
+
+var PRECACHE_PREFIX = config.cacheName + '-precache-';
+var PRECACHE_NAME = PRECACHE_PREFIX + config.version;
+var RUNTIME_PREFIX = config.cacheName + '-runtime-';
+
+var toUrl = function (url) {
+    return new URL(url, self.location.href).href;
+};
+var precache = config.precache.map(toUrl);
+var pages = config.pages.map(function (url) {
+    return toUrl(url).split(/[?#]/)[0];
+});
+var runtimeCaching = config.runtimeCaching.map(function (rule) {
+    return {
+        regExp: new RegExp(rule.pattern, rule.flags),
+        handler: rule.handler,
+        cacheName: RUNTIME_PREFIX + rule.cacheName,
+        maxEntries: rule.maxEntries
+    };
+});
+
+var isCacheable = function (response) {
+    return response && (response.ok || response.type === 'opaque');
+};
+
+var trimCache = function (cacheName, maxEntries) {
+    if (!maxEntries) {
+        return Promise.resolve();
+    }
+
+    return caches.open(cacheName).then(function (cache) {
+        return cache.keys().then(function (keys) {
+            return Promise.all(keys.slice(0, Math.max(keys.length - maxEntries, 0)).map(function (key) {
+                return cache.delete(key);
+            }));
+        });
+    });
+};
+
+var fetchAndCache = function (request, cacheName, maxEntries) {
+    return fetch(request).then(function (response) {
+        if (isCacheable(response)) {
+            var copy = response.clone();
+
+            caches.open(cacheName).then(function (cache) {
+                return cache.put(request, copy);
+            }).then(function () {
+                return trimCache(cacheName, maxEntries);
+            });
+        }
+        return response;
+    });
+};
+
+var handlers = {
+    cacheFirst: function (request, cacheName, maxEntries) {
+        return caches.match(request, {cacheName: cacheName}).then(function (cached) {
+            return cached || fetchAndCache(request, cacheName, maxEntries);
+        });
+    },
+    networkFirst: function (request, cacheName, maxEntries) {
+        return fetchAndCache(request, cacheName, maxEntries).catch(function () {
+            return caches.match(request, {cacheName: cacheName, ignoreSearch: true}).then(function (cached) {
+                if (!cached) {
+                    throw new Error('no cache for ' + request.url);
+                }
+                return cached;
+            });
+        });
+    },
+    staleWhileRevalidate: function (request, cacheName, maxEntries) {
+        return caches.match(request, {cacheName: cacheName}).then(function (cached) {
+            var fetched = fetchAndCache(request, cacheName, maxEntries);
+
+            if (cached) {
+                // 后台更新缓存，失败时继续使用缓存
+                fetched.catch(function () {});
+                return cached;
+            }
+            return fetched;
+        });
+    },
+    networkOnly: function (request) {
+        return fetch(request);
+    }
+};
+
+self.addEventListener('install', function (event) {
+    event.waitUntil(caches.open(PRECACHE_NAME).then(function (cache) {
+        return Promise.all(precache.map(function (url) {
+            var request = new Request(url, {mode: 'cors', credentials: 'same-origin'});
+
+            return fetch(request).then(function (response) {
+                if (!response.ok) {
+                    throw new Error('precache failed: ' + url + ' (' + response.status + ')');
+                }
+                return cache.put(url, response);
+            });
+        }));
+    }).then(function () {
+        return self.skipWaiting();
+    }));
+});
+
+self.addEventListener('activate', function (event) {
+    event.waitUntil(caches.keys().then(function (keys) {
+        return Promise.all(keys.filter(function (key) {
+            return key.indexOf(PRECACHE_PREFIX) === 0 && key !== PRECACHE_NAME;
+        }).map(function (key) {
+            return caches.delete(key);
+        }));
+    }).then(function () {
+        return self.clients.claim();
+    }));
+});
+
+self.addEventListener('fetch', function (event) {
+    var request = event.request;
+    var url = request.url;
+
+    if (request.method !== 'GET') {
+        return;
+    }
+
+    if (pages.indexOf(url.split(/[?#]/)[0]) !== -1) {
+        event.respondWith(handlers.networkFirst(request, PRECACHE_NAME));
+        return;
+    }
+
+    if (precache.indexOf(url) !== -1) {
+        event.respondWith(handlers.cacheFirst(url, PRECACHE_NAME));
+        return;
+    }
+
+    for (var i = 0; i < runtimeCaching.length; i++) {
+        var rule = runtimeCaching[i];
+
+        if (rule.regExp.test(url) && handlers[rule.handler]) {
+            event.respondWith(handlers[rule.handler](request, rule.cacheName, rule.maxEntries));
+            return;
+        }
+    }
+});
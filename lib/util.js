@@ -2,6 +2,7 @@
 
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 
 /**
  * 深拷贝, Object.assign()只有第一层是深拷贝, 第二层之后仍然是 浅拷贝
@@ -48,6 +49,19 @@ const listDir = (root, level, directories) => {
     return directories;
 };
 
+/**
+ * 递归创建目录
+ * @param dir          目录路径
+ */
+const mkdirp = (dir) => {
+    if (fs.existsSync(dir)) {
+        return;
+    }
+
+    mkdirp(path.dirname(dir));
+    fs.mkdirSync(dir);
+};
+
 /**
  * Merge 2个对象
  * @param obj1   Object
@@ -57,6 +71,77 @@ const merge = (obj1, obj2) => {
     return Object.assign({}, obj1, obj2);
 };
 
+/**
+ * 是否为普通对象，数组、正则、函数等都不算
+ * @param obj
+ * @returns {boolean}
+ */
+const isPlainObject = (obj) => {
+    return Object.prototype.toString.call(obj) === '[object Object]';
+};
+
+/**
+ * 深度 Merge 2个对象，返回新对象，不修改入参
+ * 普通对象逐层合并；数组及其它类型的值整体覆盖；source 中为 undefined 的值忽略
+ * @param target   Object
+ * @param source   Object
+ * @returns {{}}
+ */
+const deepMerge = (target, source) => {
+    const ret = Object.assign({}, target);
+
+    Object.keys(source || {}).forEach((key) => {
+        const value = source[key];
+
+        if (value === undefined) {
+            return;
+        }
+
+        if (isPlainObject(value) && isPlainObject(ret[key])) {
+            ret[key] = deepMerge(ret[key], value);
+        } else if (isPlainObject(value)) {
+            ret[key] = deepMerge({}, value);
+        } else if (Array.isArray(value)) {
+            ret[key] = value.slice();
+        } else {
+            ret[key] = value;
+        }
+    });
+
+    return ret;
+};
+
+/**
+ * 转义字符串中的正则特殊字符，用于拼接正则
+ * @param str   String
+ * @returns {string}
+ */
+const escapeRegExp = (str) => {
+    return String(str).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+};
+
+/**
+ * 计算内容的 SRI hash，与 webpack-subresource-integrity 的格式相同
+ * @param hashFuncNames   如 ['sha256', 'sha384']
+ * @param source          String 或 Buffer
+ * @returns {string}
+ */
+const computeIntegrity = (hashFuncNames, source) => {
+    return hashFuncNames.map((name) => {
+        return `${name}-${crypto.createHash(name).update(source, 'utf8').digest('base64')}`;
+    }).join(' ');
+};
+
+/**
+ * 把字符串或 Buffer 包装成 webpack 的资源
+ * @param content         String 或 Buffer
+ * @returns {{source: Function, size: Function}}
+ */
+const toAsset = (content) => ({
+    source: () => content,
+    size: () => Buffer.byteLength(content)
+});
+
 const hasOwnProperty = Object.prototype.hasOwnProperty;
 
 const isEmpty = (obj) => {
@@ -75,5 +160,11 @@ const isEmpty = (obj) => {
 
 exports.deepCopy = deepCopy;
 exports.listDir = listDir;
+exports.mkdirp = mkdirp;
 exports.merge = merge;
+exports.isPlainObject = isPlainObject;
+exports.deepMerge = deepMerge;
+exports.escapeRegExp = escapeRegExp;
+exports.computeIntegrity = computeIntegrity;
+exports.toAsset = toAsset;
 exports.isEmpty = isEmpty;
\ No newline at end of file
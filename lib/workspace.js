@@ -0,0 +1,184 @@
+'use strict';
+
+const path = require('path');
+const glob = require('glob');
+const webpack = require('webpack');
+const BuilderCore = require('./core');
+const Config = require('./config');
+
+/**
+ * 格式化文件大小
+ * @param size        字节数
+ * @returns {string}
+ */
+const formatSize = (size) => {
+    if (size < 1024) {
+        return `${size} B`;
+    }
+    if (size < 1024 * 1024) {
+        return `${(size / 1024).toFixed(2)} kB`;
+    }
+    return `${(size / 1024 / 1024).toFixed(2)} MB`;
+};
+
+/**
+ * 运行一次 webpack 构建
+ * @param config      webpack 配置
+ * @returns {Promise}
+ */
+const compile = (config) => {
+    return new Promise((resolve, reject) => {
+        webpack(config, (err, stats) => {
+            if (err) {
+                reject(err);
+            } else {
+                resolve(stats);
+            }
+        });
+    });
+};
+
+/**
+ * Monorepo 多项目构建
+ * 查找工作区下所有包含 feflow.json 或 feflow.js 的项目，并发构建到各自的输出目录
+ */
+class Workspace {
+
+    /**
+     * @param options               {root: 工作区根目录, include: 项目目录的 glob 规则}
+     *                              root 默认 process.cwd()，include 默认查找工作区下所有目录，如 ['packages/*']
+     */
+    constructor(options) {
+        options = options || {};
+
+        this.root = path.resolve(options.root || process.cwd());
+        this.include = [].concat(options.include || '**');
+    }
+
+    /**
+     * 查找工作区下的所有 feflow 项目，不包含工作区根目录自身
+     * @returns {Array}             [{name, root}]，name 为项目相对工作区的路径
+     */
+    discover() {
+        const roots = [];
+
+        this.include.forEach((pattern) => {
+            glob.sync(`${pattern}/feflow.{json,js}`, {
+                cwd: this.root,
+                ignore: '**/node_modules/**',
+                nodir: true
+            }).forEach((file) => {
+                const root = path.join(this.root, path.dirname(file));
+
+                if (root !== this.root && roots.indexOf(root) === -1) {
+                    roots.push(root);
+                }
+            });
+        });
+
+        return roots.sort().map((root) => ({
+            name: path.relative(this.root, root).split(path.sep).join('/'),
+            root
+        }));
+    }
+
+    /**
+     * 构建单个项目，构建失败时不抛出异常，而是记录在结果中
+     * @param project               discover 返回的项目
+     * @param options               同 build
+     * @returns {Promise}           {name, root, success, duration, outDir, size, assets, errors}
+     */
+    async buildProject(project, options) {
+        const start = Date.now();
+        const result = {
+            name: project.name,
+            root: project.root,
+            success: false,
+            duration: 0,
+            outDir: '',
+            size: 0,
+            assets: [],
+            errors: []
+        };
+
+        try {
+            const builder = new BuilderCore({root: project.root});
+            const builderOptions = Config.getLayeredConfig(options.configEnv, project.root).builderOptions;
+            const config = builder.createConfig(builderOptions, {env: options.env, exitOnError: false});
+            const stats = await compile(config);
+            const json = stats.toJson({assets: true, chunks: false, modules: false, children: false});
+            // 开启 modern 时为 legacy 和 modern 两份配置，返回的是 MultiStats
+            const assets = (stats.stats || [stats]).reduce((all, item) => {
+                return all.concat(item.toJson({assets: true, chunks: false, modules: false, children: false}).assets);
+            }, []);
+
+            result.outDir = [].concat(config)[0].output.path;
+            result.assets = assets.map((asset) => ({name: asset.name, size: asset.size}));
+            result.size = result.assets.reduce((size, asset) => size + asset.size, 0);
+            result.errors = json.errors;
+            result.success = !stats.hasErrors();
+        } catch (ex) {
+            result.errors = ex.messages || [ex.message];
+        }
+
+        result.duration = Date.now() - start;
+
+        return result;
+    }
+
+    /**
+     * 并发构建工作区下的所有项目
+     * @param options               {env: 'development' | 'production', configEnv: 环境名, concurrency: 并发数}
+     *                              env 默认 production，concurrency 默认 2
+     * @returns {Promise}           每个项目的构建结果，顺序与 discover 一致
+     */
+    async build(options) {
+        options = Object.assign({env: 'production', concurrency: 2}, options);
+
+        const projects = this.discover();
+        const results = [];
+        let next = 0;
+
+        const worker = async () => {
+            while (next < projects.length) {
+                const index = next++;
+                results[index] = await this.buildProject(projects[index], options);
+            }
+        };
+
+        const workers = [];
+        for (let i = 0; i < Math.max(1, options.concurrency); i++) {
+            workers.push(worker());
+        }
+        await Promise.all(workers);
+
+        return results;
+    }
+
+    /**
+     * 生成构建汇总信息，每个项目一行，包含状态、耗时和产物大小
+     * @param results               build 的返回结果
+     * @returns {string}
+     */
+    static formatSummary(results) {
+        const lines = results.map((result) => {
+            const status = result.success ? 'success' : 'failed';
+            let line = `${status}\t${result.name}\t${(result.duration / 1000).toFixed(2)}s\t${formatSize(result.size)}`;
+
+            if (!result.success) {
+                // 错误信息只展示前两行，完整信息见 results 中的 errors
+                line += '\n' + result.errors
+                    .map((error) => `    ${String(error).split('\n').slice(0, 2).join(' ')}`)
+                    .join('\n');
+            }
+            return line;
+        });
+        const failed = results.filter((result) => !result.success).length;
+
+        lines.push(`共 ${results.length} 个项目，成功 ${results.length - failed} 个，失败 ${failed} 个`);
+
+        return lines.join('\n');
+    }
+}
+
+module.exports = Workspace;
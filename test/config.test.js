@@ -0,0 +1,106 @@
+'use strict';
+
+/**
+ * 分层配置：builderOptions -> envs.{env} -> feflow.{env}.json 深度合并，记录每个配置项的来源
+ */
+const assert = require('assert');
+const path = require('path');
+const Config = require('../lib/config');
+const {deepMerge} = require('../lib/util');
+const {run} = require('./helpers');
+
+const FIXTURE = path.join(__dirname, 'fixtures/config');
+
+/**
+ * 执行 fn 期间收集 console.warn 的输出
+ * @param fn
+ * @returns {{result: *, warnings: Array}}
+ */
+const captureWarnings = (fn) => {
+    const warn = console.warn;
+    const warnings = [];
+
+    console.warn = (...args) => warnings.push(args.join(' '));
+    try {
+        return {result: fn(), warnings};
+    } finally {
+        console.warn = warn;
+    }
+};
+
+run('config', [
+    ['deepMerge 逐层合并普通对象，数组整体覆盖，不修改入参', () => {
+        const target = {a: {b: 1, c: [1, 2]}, d: 1};
+        const source = {a: {c: [3], e: {f: 1}}, d: undefined};
+        const result = deepMerge(target, source);
+
+        assert.deepStrictEqual(result, {a: {b: 1, c: [3], e: {f: 1}}, d: 1});
+        assert.deepStrictEqual(target, {a: {b: 1, c: [1, 2]}, d: 1});
+        assert.notStrictEqual(result.a.c, source.a.c);
+        assert.notStrictEqual(result.a.e, source.a.e);
+    }],
+    ['没有环境时只使用 builderOptions', () => {
+        const feflowEnv = process.env.FEFLOW_ENV;
+
+        // 测试进程没有 --env 参数，环境名读取 FEFLOW_ENV
+        delete process.env.FEFLOW_ENV;
+
+        const {result, warnings} = captureWarnings(() => Config.getLayeredConfig(undefined, FIXTURE));
+
+        if (feflowEnv !== undefined) {
+            process.env.FEFLOW_ENV = feflowEnv;
+        }
+
+        assert.deepStrictEqual(result.layers.map((layer) => layer.name), ['builderOptions']);
+        assert.strictEqual(result.builderOptions.cdn, 'cdn.example.com');
+        assert.deepStrictEqual(warnings, []);
+    }],
+    ['envs 中的环境深度合并到 builderOptions', () => {
+        const {builderOptions, layers, sources} = Config.getLayeredConfig('test', FIXTURE);
+
+        assert.deepStrictEqual(layers.map((layer) => layer.name), ['builderOptions', 'envs.test']);
+        assert.deepStrictEqual(builderOptions, {
+            moduleName: 'now',
+            cdn: 'test.cdn.example.com',
+            unit: {mode: 'vw', designWidth: 750, exclude: ['vendor']}
+        });
+        assert.deepStrictEqual(sources, {
+            'moduleName': 'builderOptions',
+            'cdn': 'envs.test',
+            'unit.mode': 'envs.test',
+            'unit.designWidth': 'builderOptions',
+            'unit.exclude': 'envs.test'
+        });
+    }],
+    ['feflow.{env}.json 合并在最后', () => {
+        const {builderOptions, layers, sources} = Config.getLayeredConfig('prod', FIXTURE);
+
+        assert.deepStrictEqual(layers.map((layer) => layer.name), ['builderOptions', 'feflow.prod.json']);
+        assert.strictEqual(builderOptions.domain, 'prod.example.com');
+        assert.deepStrictEqual(builderOptions.unit, {mode: 'rem', designWidth: 375, exclude: ['vendor', 'lib']});
+        assert.strictEqual(sources['unit.designWidth'], 'feflow.prod.json');
+    }],
+    ['没有对应配置层的环境给出提示，使用 builderOptions', () => {
+        const {result, warnings} = captureWarnings(() => Config.getLayeredConfig('tset', FIXTURE));
+
+        assert.strictEqual(result.builderOptions.cdn, 'cdn.example.com');
+        assert.strictEqual(warnings.length, 1);
+        assert.ok(/未找到环境 tset 的配置.*你是不是想使用 test？/.test(warnings[0]), warnings[0]);
+    }],
+    ['环境配置有误时抛出异常，messages 中为错误信息', () => {
+        assert.throws(() => Config.getLayeredConfig('bad', FIXTURE), (err) => {
+            return err.messages.length === 1 && /envs\.bad\.port 应为 number 类型，实际为 string/.test(err.messages[0]);
+        });
+    }],
+    ['未知配置项只给出警告和最接近的配置项，不中断构建', () => {
+        const {result, warnings} = captureWarnings(() => Config.getLayeredConfig('typo', FIXTURE));
+
+        assert.strictEqual(result.builderOptions.port, 8001);
+        assert.deepStrictEqual(warnings, [
+            `${path.join(FIXTURE, 'feflow.json')}: envs.typo.cnd 不是合法的配置项，你是不是想配置 cdn？`
+        ]);
+    }],
+    ['找不到配置文件时抛出异常', () => {
+        assert.throws(() => Config.getLayeredConfig('test', path.parse(__dirname).root), /未找到 feflow 配置文件/);
+    }]
+]);
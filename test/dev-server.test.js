@@ -0,0 +1,60 @@
+'use strict';
+
+/**
+ * dev server 的 mock 接口：文件查找顺序、js 处理函数、目录外和不合法的路径
+ */
+const assert = require('assert');
+const path = require('path');
+const DevServer = require('../lib/dev-server');
+const {run} = require('./helpers');
+
+const FIXTURE = path.join(__dirname, 'fixtures/mock');
+const MOCK_DIR = path.join(FIXTURE, 'mock');
+
+const server = new DevServer({root: FIXTURE, builderOptions: {}});
+
+/**
+ * 用 mock 中间件处理一次请求
+ * @param reqPath
+ * @param query
+ * @returns {Promise}           {json, next: 调用 next 时的参数}
+ */
+const request = (reqPath, query) => new Promise((resolve) => {
+    const req = {path: reqPath, query: query || {}};
+    const res = {json: (json) => resolve({json})};
+
+    server.mockMiddleware()(req, res, (...args) => resolve({next: args}));
+});
+
+run('dev-server', [
+    ['依次查找 .json、.js、index.json、index.js', () => {
+        assert.strictEqual(server.findMock('/api/user'), path.join(MOCK_DIR, 'api/user.json'));
+        assert.strictEqual(server.findMock('/api/user/'), path.join(MOCK_DIR, 'api/user.json'));
+        assert.strictEqual(server.findMock('/api/list'), path.join(MOCK_DIR, 'api/list/index.js'));
+        assert.strictEqual(server.findMock('/api/none'), undefined);
+    }],
+    ['不允许访问 mock 目录以外的文件', () => {
+        assert.strictEqual(server.findMock('/../secret'), undefined);
+        assert.strictEqual(server.findMock('/%2e%2e/secret'), undefined);
+        assert.strictEqual(server.findMock('/'), undefined);
+    }],
+    ['不合法的编码返回 undefined，不抛出异常', () => {
+        assert.strictEqual(server.findMock('/api/%E0%A4%A'), undefined);
+        assert.strictEqual(server.findMock('/%'), undefined);
+    }],
+    ['json 文件直接返回', () => request('/api/user').then((result) => {
+        assert.deepStrictEqual(result.json, {name: 'json'});
+    })],
+    ['js 文件导出函数时作为处理函数', () => request('/api/list', {page: '2'}).then((result) => {
+        assert.deepStrictEqual(result.json, {query: {page: '2'}});
+    })],
+    ['没有 mock 文件和不合法的路径交给后续中间件', () => {
+        return Promise.all([request('/api/none'), request('/api/%E0%A4%A')]).then((results) => {
+            results.forEach((result) => assert.deepStrictEqual(result.next, []));
+        });
+    }],
+    ['mock 文件解析失败时把错误交给 next', () => request('/api/broken').then((result) => {
+        assert.strictEqual(result.next.length, 1);
+        assert.ok(result.next[0] instanceof SyntaxError);
+    })]
+]);
@@ -0,0 +1,3 @@
+const api = (path) => `https://api.prod.example.com${path}`;
+
+window.fetch(api('/x'));
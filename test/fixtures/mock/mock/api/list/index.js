@@ -0,0 +1 @@
+module.exports = (req, res) => res.json({query: req.query});
@@ -0,0 +1 @@
+old
\ No newline at end of file
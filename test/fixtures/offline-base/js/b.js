@@ -0,0 +1 @@
+same
\ No newline at end of file
@@ -0,0 +1 @@
+removed
\ No newline at end of file
@@ -0,0 +1,4 @@
+import './index.less';
+import './reset.css';
+
+document.body.className = 'ready';
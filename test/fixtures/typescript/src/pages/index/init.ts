@@ -0,0 +1,3 @@
+import {greet} from '@/lib/greet';
+
+document.title = greet('typescript');
@@ -0,0 +1,90 @@
+'use strict';
+
+/**
+ * 测试共用的构建和断言工具
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const glob = require('glob');
+const webpack = require('webpack');
+const BuilderCore = require('../lib/core');
+
+/**
+ * 删除目录及其中的文件
+ * @param dir
+ */
+const removeDir = (dir) => {
+    if (!fs.existsSync(dir)) {
+        return;
+    }
+
+    fs.readdirSync(dir).forEach((name) => {
+        const file = path.join(dir, name);
+
+        if (fs.statSync(file).isDirectory()) {
+            removeDir(file);
+        } else {
+            fs.unlinkSync(file);
+        }
+    });
+    fs.rmdirSync(dir);
+};
+
+/**
+ * 构建 fixture，返回输出目录下每个文件的内容和 sha256，构建结束后删除输出目录
+ * @param fixture               fixture 目录
+ * @param builderOptions
+ * @param options               同 createConfig 的 options，env 默认 production
+ * @returns {Promise}           {files: {文件路径: 内容}, hashes: {文件路径: sha256}, stats}
+ */
+const build = (fixture, builderOptions, options) => new Promise((resolve, reject) => {
+    const output = path.join(fixture, builderOptions.outDir || 'public');
+
+    removeDir(output);
+
+    const builder = new BuilderCore({root: fixture});
+    const config = builder.createConfig(builderOptions, Object.assign({env: 'production', exitOnError: false}, options));
+
+    webpack(config, (err, stats) => {
+        if (err || stats.hasErrors()) {
+            removeDir(output);
+            return reject(err || new Error(stats.toString({chunks: false, modules: false, children: false})));
+        }
+
+        const files = {};
+        const hashes = {};
+        glob.sync('**/*', {cwd: output, nodir: true}).sort().forEach((file) => {
+            const content = fs.readFileSync(path.join(output, file));
+
+            files[file] = content;
+            hashes[file] = crypto.createHash('sha256').update(content).digest('hex');
+        });
+        removeDir(output);
+        resolve({files, hashes, stats});
+    });
+});
+
+/**
+ * 依次执行测试用例，全部结束后退出进程，HappyPack 等遗留的线程不会阻止退出
+ * @param name                  测试文件名称
+ * @param cases                 [[用例名称, 返回 Promise 或同步执行的函数]]
+ */
+const run = (name, cases) => {
+    let failed = 0;
+
+    cases.reduce((prev, [title, fn]) => prev.then(() => Promise.resolve().then(fn).then(
+        () => console.log(`  ok ${title}`),
+        (err) => {
+            failed++;
+            console.error(`  not ok ${title}\n${(err && err.stack) || err}`);
+        }
+    )), Promise.resolve()).then(() => {
+        console.log(`${name}: ${cases.length - failed}/${cases.length} 通过`);
+        process.exit(failed ? 1 : 0);
+    });
+};
+
+exports.removeDir = removeDir;
+exports.build = build;
+exports.run = run;
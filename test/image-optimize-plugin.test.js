@@ -0,0 +1,95 @@
+'use strict';
+
+/**
+ * 图片压缩：WebP 文件名在原文件名后追加 .webp，image-report.json 作为构建资源输出
+ */
+const assert = require('assert');
+const imagemin = require('imagemin');
+const ImageOptimizePlugin = require('../lib/image-optimize-plugin');
+const {run} = require('./helpers');
+
+// 压缩工具依赖的二进制文件不一定能安装，这里用去掉最后一个字节代替压缩，WebP 内容固定为 webp
+imagemin.buffer = (buffer, options) => Promise.resolve(
+    options.plugins.length === 1 ? Buffer.from('webp') : buffer.slice(0, buffer.length - 1)
+);
+
+/**
+ * 按 webpack 的顺序执行插件：optimize-assets -> emit
+ * @param options               ImageOptimizePlugin 的配置
+ * @param assets                {资源名: 内容}
+ * @returns {Promise}           {assets: {资源名: 内容}, warnings, logs}
+ */
+const apply = (options, assets) => {
+    const hooks = {};
+    const plugin = (name, fn) => {
+        hooks[name] = fn;
+    };
+    const compilation = {plugin, warnings: [], assets: {}};
+    const logs = [];
+    const log = console.log;
+
+    Object.keys(assets).forEach((name) => {
+        compilation.assets[name] = {source: () => Buffer.from(assets[name])};
+    });
+
+    new ImageOptimizePlugin(options).apply({plugin});
+    hooks['this-compilation'](compilation);
+
+    console.log = (...args) => logs.push(args.join(' '));
+
+    return new Promise((resolve, reject) => hooks['optimize-assets'](compilation.assets, (err) => (err ? reject(err) : resolve())))
+        .then(() => new Promise((resolve) => hooks.emit(compilation, resolve)))
+        .then(() => {
+            console.log = log;
+
+            const result = {assets: {}, warnings: compilation.warnings.map((err) => err.message), logs};
+
+            Object.keys(compilation.assets).forEach((name) => {
+                result.assets[name] = compilation.assets[name].source().toString();
+            });
+            return result;
+        }, (err) => {
+            console.log = log;
+            throw err;
+        });
+};
+
+run('image-optimize-plugin', [
+    ['同名的 png 和 jpg 分别生成 WebP，查询参数保留在末尾', () => apply({webp: true}, {
+        'img/a.png': 'png',
+        'img/a.jpg?_bid=152': 'jpg',
+        'img/b.gif': 'gif'
+    }).then((result) => {
+        assert.deepStrictEqual(Object.keys(result.assets).sort(), [
+            'image-report.json',
+            'img/a.jpg.webp?_bid=152',
+            'img/a.jpg?_bid=152',
+            'img/a.png',
+            'img/a.png.webp',
+            'img/b.gif'
+        ]);
+        assert.strictEqual(result.assets['img/a.png'], 'pn');
+        assert.deepStrictEqual(result.warnings, []);
+    })],
+    ['image-report.json 作为资源输出，记录每张图片节省的大小', () => apply({webp: true}, {
+        'img/a.png': 'png',
+        'img/b.gif': 'gif'
+    }).then((result) => {
+        const report = JSON.parse(result.assets['image-report.json']);
+
+        assert.deepStrictEqual(report, {
+            originalSize: 6,
+            size: 4,
+            saved: 2,
+            images: [
+                {file: 'img/a.png', originalSize: 3, size: 2, saved: 1, webp: 'img/a.png.webp'},
+                {file: 'img/b.gif', originalSize: 3, size: 2, saved: 1}
+            ]
+        });
+        assert.deepStrictEqual(result.logs, ['图片压缩: 2 张图片，共节省 0.00 kB']);
+    })],
+    ['report 为 false 时不生成报告', () => apply({report: false}, {'img/a.png': 'png'}).then((result) => {
+        assert.deepStrictEqual(Object.keys(result.assets), ['img/a.png']);
+        assert.deepStrictEqual(result.logs, []);
+    })]
+]);
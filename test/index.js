@@ -0,0 +1,39 @@
+'use strict';
+
+/**
+ * 依次在子进程中运行 test 目录下的 *.test.js，任一文件失败或超时时以非 0 退出
+ * webpack 3 使用 md4，Node 17 及以上需要 --openssl-legacy-provider，否则 HappyPack 线程中的 babel-loader 报错后构建一直挂起
+ */
+const path = require('path');
+const glob = require('glob');
+const {spawnSync} = require('child_process');
+
+// 单个测试文件的超时时间
+const TIMEOUT = 5 * 60 * 1000;
+
+const major = Number(process.versions.node.split('.')[0]);
+const env = Object.assign({}, process.env);
+
+if (major >= 17 && !/--openssl-legacy-provider/.test(env.NODE_OPTIONS || '')) {
+    env.NODE_OPTIONS = `${env.NODE_OPTIONS || ''} --openssl-legacy-provider`.trim();
+}
+
+const files = process.argv.length > 2
+    ? process.argv.slice(2).map((file) => path.resolve(file))
+    : glob.sync('*.test.js', {cwd: __dirname, absolute: true}).sort();
+
+const failed = files.filter((file) => {
+    const result = spawnSync(process.execPath, [file], {stdio: 'inherit', env, timeout: TIMEOUT, killSignal: 'SIGKILL'});
+
+    if (result.error) {
+        console.error(`${path.basename(file)}: ${result.error.code === 'ETIMEDOUT' ? `超过 ${TIMEOUT / 1000}s 未结束` : result.error.message}`);
+        return true;
+    }
+    return result.status !== 0;
+});
+
+if (failed.length) {
+    console.error(`失败的测试:\n${failed.map((file) => `  ${path.relative(process.cwd(), file)}`).join('\n')}`);
+    process.exit(1);
+}
+console.log(`全部 ${files.length} 个测试文件通过`);
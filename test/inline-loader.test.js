@@ -0,0 +1,97 @@
+'use strict';
+
+/**
+ * Fis3 inline 语法糖：改写为 html-loader 的 ${require()}，引用错误时给出模板文件和行号
+ */
+const assert = require('assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const enhancedResolve = require('enhanced-resolve');
+const inlineLoader = require('../lib/inline-loader');
+const {run} = require('./helpers');
+
+const FIXTURE = path.join(__dirname, 'fixtures/inline');
+const SRC = path.join(FIXTURE, 'src');
+const TEMPLATE = path.join(SRC, 'pages/index/index.html');
+const resolver = enhancedResolve.create({});
+
+/**
+ * 按 webpack 的方式执行 loader
+ * @param source                模板内容
+ * @param options               追加的 loader 配置
+ * @returns {Promise}           {source, dependencies}，失败时 reject loader 的错误
+ */
+const load = (source, options) => new Promise((resolve, reject) => {
+    const dependencies = [];
+    const context = {
+        query: Object.assign({srcPath: SRC, root: FIXTURE, hashLength: 8}, options),
+        resourcePath: TEMPLATE,
+        context: path.dirname(TEMPLATE),
+        cacheable: () => {},
+        addDependency: (file) => dependencies.push(file),
+        resolve: (dir, request, callback) => resolver(dir, request, callback),
+        async: () => (err, result) => (err ? reject(err) : resolve({source: result, dependencies}))
+    };
+
+    inlineLoader.call(context, source);
+});
+
+run('inline-loader', [
+    ['改写 html 片段、样式和图片的内联', () => load([
+        '<!--inline[/pages/index/meta.html]-->',
+        '<link rel="stylesheet" href="style.css?__inline">',
+        '<img class="logo" src="/assets/logo.png?__inline">'
+    ].join('\n')).then((result) => {
+        assert.strictEqual(result.source, [
+            `\${require('raw-loader!${SRC.split(path.sep).join('/')}/pages/index/meta.html')}`,
+            "<style>${require('./style.css?__inline')}</style>",
+            `<img class="logo" src="\${require('${SRC.split(path.sep).join('/')}/assets/logo.png?__inline')}">`
+        ].join('\n'));
+    })],
+    ['__uri 改写为资源地址，__md5 替换为内容的 md5 并加入依赖', () => load([
+        "var logo = __uri('/assets/logo.png');",
+        "var version = '__md5(/assets/data.json)';"
+    ].join('\n')).then((result) => {
+        const file = path.join(SRC, 'assets/data.json');
+        const md5 = crypto.createHash('md5').update(fs.readFileSync(file)).digest('hex').slice(0, 8);
+
+        assert.strictEqual(result.source, [
+            `var logo = \${require('${SRC.split(path.sep).join('/')}/assets/logo.png')};`,
+            `var version = '${md5}';`
+        ].join('\n'));
+        assert.deepStrictEqual(result.dependencies, [file]);
+    })],
+    ['引用的文件不存在时给出模板文件和行号', () => load([
+        '<html>',
+        '<!--inline[/pages/index/missing.html]-->',
+        '<img src="none.png?__inline">'
+    ].join('\n')).then(() => assert.fail('没有报错'), (err) => {
+        const template = path.join('src', 'pages', 'index', 'index.html');
+
+        assert.strictEqual(err.message, [
+            `${template}:2 找不到文件: /pages/index/missing.html`,
+            `${template}:3 找不到文件: none.png`
+        ].join('\n'));
+    })],
+    ['__uri 引用图片等资源以外的文件时报错', () => load('\n\n__uri(/assets/data.json)').then(() => assert.fail('没有报错'), (err) => {
+        assert.strictEqual(err.message, `${path.join('src', 'pages', 'index', 'index.html')}:3 __uri 只支持图片、富媒体和字体文件: /assets/data.json`);
+    })],
+    ['没有语法糖的模板不改变', () => load('<div>${name}</div>\n').then((result) => {
+        assert.strictEqual(result.source, '<div>${name}</div>\n');
+    })],
+    ['attrs 时改写 src 中的相对路径，跳过模板语法和外部地址', () => load([
+        '<img src="../../assets/logo.png"><img src="/assets/logo.png"><img src="//cdn.com/a.png">',
+        '<img src="<%= logo %>"><img src="{{logo}}"><img src="data:image/png;base64,AA">',
+        '<img src="../../assets/logo.png?__inline"><img data-src="../../assets/logo.png">'
+    ].join('\n'), {attrs: true}).then((result) => {
+        assert.strictEqual(result.source, [
+            "<img src=\"${require('../../assets/logo.png')}\"><img src=\"/assets/logo.png\"><img src=\"//cdn.com/a.png\">",
+            '<img src="<%= logo %>"><img src="{{logo}}"><img src="data:image/png;base64,AA">',
+            "<img src=\"${require('../../assets/logo.png?__inline')}\"><img data-src=\"../../assets/logo.png\">"
+        ].join('\n'));
+    })],
+    ['attrs 时 src 引用的文件不存在同样报错', () => load('<img src="none.png">', {attrs: true}).then(() => assert.fail('没有报错'), (err) => {
+        assert.strictEqual(err.message, `${path.join('src', 'pages', 'index', 'index.html')}:1 找不到文件: none.png`);
+    })]
+]);
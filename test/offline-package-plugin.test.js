@@ -0,0 +1,125 @@
+'use strict';
+
+/**
+ * 离线包：manifest.json、与上一个版本对比生成的增量包
+ */
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const yauzl = require('yauzl');
+const OfflinePackagePlugin = require('../lib/offline-package-plugin');
+const {run} = require('./helpers');
+
+const BASE_DIR = path.join(__dirname, 'fixtures/offline-base');
+const BASE_ZIP = path.join(os.tmpdir(), `offline-base-${process.pid}.zip`);
+
+/**
+ * 执行插件的 emit
+ * @param options               OfflinePackagePlugin 的配置
+ * @param assets                {资源名: 内容}
+ * @returns {Promise}           compilation
+ */
+const emit = (options, assets) => new Promise((resolve) => {
+    const hooks = {};
+    const compilation = {warnings: [], assets: {}, options: {output: {path: '/public'}}};
+
+    Object.keys(assets).forEach((name) => {
+        compilation.assets[name] = {source: () => assets[name]};
+    });
+
+    new OfflinePackagePlugin(Object.assign({path: 'offline'}, options)).apply({
+        plugin: (name, fn) => {
+            hooks[name] = fn;
+        }
+    });
+    hooks.emit(compilation, () => resolve(compilation));
+});
+
+/**
+ * 读取 zip 中的文件
+ * @param buffer
+ * @returns {Promise}           {文件路径: 内容}
+ */
+const unzip = (buffer) => new Promise((resolve, reject) => {
+    yauzl.fromBuffer(buffer, {lazyEntries: true}, (err, zipFile) => {
+        if (err) {
+            return reject(err);
+        }
+
+        const files = {};
+
+        zipFile.on('entry', (entry) => {
+            zipFile.openReadStream(entry, (err, stream) => {
+                if (err) {
+                    return reject(err);
+                }
+
+                const bufs = [];
+                stream.on('data', (buf) => bufs.push(buf));
+                stream.on('end', () => {
+                    files[entry.fileName] = Buffer.concat(bufs).toString();
+                    zipFile.readEntry();
+                });
+            });
+        });
+        zipFile.on('end', () => resolve(files));
+        zipFile.readEntry();
+    });
+});
+
+const ASSETS = {
+    'js/a.js': 'new',
+    'js/b.js': 'same',
+    'js/c.js': 'added'
+};
+
+run('offline-package-plugin', [
+    ['离线包包含所有文件和 manifest.json', () => emit({version: 'v1'}, {'js/a.js': 'old', 'js/b.js': 'same'}).then((compilation) => {
+        const buffer = compilation.assets['offline/offline.zip'].source();
+
+        assert.strictEqual(compilation.assets['offline/offline-diff.zip'], undefined);
+        fs.writeFileSync(BASE_ZIP, buffer);
+
+        return unzip(buffer).then((files) => {
+            const manifest = JSON.parse(files['manifest.json']);
+
+            assert.deepStrictEqual(Object.keys(files).sort(), ['js/a.js', 'js/b.js', 'manifest.json']);
+            assert.strictEqual(manifest.version, 'v1');
+            assert.deepStrictEqual(manifest.files.map((file) => [file.path, file.size]), [['js/a.js', 3], ['js/b.js', 4]]);
+        });
+    })],
+    ['与上一个版本的目录对比，增量包只包含新增和修改的文件', () => emit({version: 'v2', base: BASE_DIR}, ASSETS).then((compilation) => {
+        return unzip(compilation.assets['offline/offline-diff.zip'].source());
+    }).then((files) => {
+        const manifest = JSON.parse(files['manifest.json']);
+
+        assert.deepStrictEqual(Object.keys(files).sort(), ['js/a.js', 'js/c.js', 'manifest.json']);
+        assert.strictEqual(files['js/a.js'], 'new');
+        assert.strictEqual(manifest.version, 'v2');
+        assert.strictEqual(manifest.baseVersion, 'v1');
+        assert.deepStrictEqual(manifest.files.map((file) => file.path), ['js/a.js', 'js/c.js']);
+        assert.deepStrictEqual(manifest.deleted, ['js/deleted.js']);
+    })],
+    ['上一个版本为 zip 时结果相同', () => emit({version: 'v2', base: BASE_ZIP}, ASSETS).then((compilation) => {
+        fs.unlinkSync(BASE_ZIP);
+        return unzip(compilation.assets['offline/offline-diff.zip'].source());
+    }).then((files) => {
+        const manifest = JSON.parse(files['manifest.json']);
+
+        assert.deepStrictEqual(Object.keys(files).sort(), ['js/a.js', 'js/c.js', 'manifest.json']);
+        assert.strictEqual(manifest.baseVersion, 'v1');
+        assert.deepStrictEqual(manifest.deleted, []);
+    })],
+    ['上一个版本不存在时给出警告，不生成增量包', () => emit({base: path.join(BASE_DIR, 'none.zip')}, ASSETS).then((compilation) => {
+        assert.ok(compilation.assets['offline/offline.zip']);
+        assert.strictEqual(compilation.assets['offline/offline-diff.zip'], undefined);
+        assert.strictEqual(compilation.warnings.length, 1);
+        assert.ok(/读取上一个版本的离线包失败，未生成增量包/.test(compilation.warnings[0].message));
+    })],
+    ['相同的文件生成相同的版本号和离线包', () => Promise.all([emit({}, ASSETS), emit({}, ASSETS)]).then(([first, second]) => {
+        const zip = (compilation) => compilation.assets['offline/offline.zip'].source();
+
+        assert.ok(zip(first).equals(zip(second)));
+    })]
+]);
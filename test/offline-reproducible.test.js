@@ -0,0 +1,36 @@
+'use strict';
+
+/**
+ * 离线包可复现检查：同一份源码构建两次，offline.zip 和输出的文件名必须完全一致
+ * fixture 中的页面引用了 less、css 和绝对路径的 @import，覆盖样式 loader 生成的模块标识
+ */
+const assert = require('assert');
+const path = require('path');
+const {build, run} = require('./helpers');
+
+const FIXTURE = path.join(__dirname, 'fixtures/offline');
+const BUILDER_OPTIONS = {
+    moduleName: 'now',
+    bizName: 'offline',
+    cdn: 'cdn.example.com',
+    domain: 'example.com',
+    product: 'now',
+    offline: true,
+    images: {optimize: false}
+};
+
+const results = [];
+
+run('offline-reproducible', [
+    ['第一次构建', () => build(FIXTURE, BUILDER_OPTIONS).then((result) => results.push(result.hashes))],
+    ['第二次构建', () => build(FIXTURE, BUILDER_OPTIONS).then((result) => results.push(result.hashes))],
+    ['生成 offline.zip', () => {
+        assert.ok(results[0]['offline/offline.zip'], '没有生成 offline/offline.zip');
+    }],
+    ['两次构建的输出完全一致', () => {
+        const [first, second] = results;
+        const diff = Object.keys(Object.assign({}, first, second)).filter((file) => first[file] !== second[file]);
+
+        assert.deepStrictEqual(diff, [], `两次构建的输出不一致:\n${diff.map((file) => `  ${file}`).join('\n')}`);
+    }]
+]);
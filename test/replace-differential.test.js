@@ -0,0 +1,51 @@
+'use strict';
+
+/**
+ * 差异化构建中的文本替换：legacy 的 js 只在 legacy 构建中替换一次，替换次数合并到 modern 构建的输出中
+ */
+const assert = require('assert');
+const path = require('path');
+const {build, run} = require('./helpers');
+
+const FIXTURE = path.join(__dirname, 'fixtures/differential');
+const BUILDER_OPTIONS = {
+    moduleName: 'now',
+    bizName: 'differential',
+    product: 'now',
+    modern: true,
+    images: {optimize: false},
+    replace: [{name: 'api', search: 'example.com', replace: 'example.com.cn'}]
+};
+
+let result;
+let logs = [];
+
+run('replace-differential', [
+    ['构建 modern 和 legacy 两套 js', () => {
+        const log = console.log;
+
+        console.log = (...args) => logs.push(args.join(' '));
+        return build(FIXTURE, BUILDER_OPTIONS).then((res) => {
+            console.log = log;
+            result = res;
+        }, (err) => {
+            console.log = log;
+            throw err;
+        });
+    }],
+    ['modern 和 legacy 的 js 都只替换一次', () => {
+        const js = Object.keys(result.files).filter((file) => /\.js$/.test(file));
+
+        assert.ok(js.some((file) => /-legacy_/.test(file)), '没有输出 legacy 的 js');
+        assert.ok(js.some((file) => !/-legacy_/.test(file)), '没有输出 modern 的 js');
+        js.forEach((file) => {
+            const content = result.files[file].toString();
+
+            assert.ok(content.indexOf('api.prod.example.com.cn') !== -1, `${file} 没有替换`);
+            assert.ok(content.indexOf('example.com.cn.cn') === -1, `${file} 重复替换`);
+        });
+    }],
+    ['替换结果包含 legacy js 的替换次数', () => {
+        assert.ok(logs.some((line) => /api: 1 处，legacy js 1 处/.test(line)), logs.join('\n'));
+    }]
+]);
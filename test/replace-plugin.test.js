@@ -0,0 +1,131 @@
+'use strict';
+
+/**
+ * 文本替换：按环境选择替换值、替换次数统计、dryRun 和没有匹配时的警告
+ */
+const assert = require('assert');
+const ReplacePlugin = require('../lib/replace-plugin');
+const {run} = require('./helpers');
+
+/**
+ * 按 webpack 的顺序执行插件：optimize-assets -> 页面生成 -> emit
+ * @param options               ReplacePlugin 的配置
+ * @param assets                {资源名: 内容}
+ * @param pages                 {页面名: html}
+ * @returns {Promise}           {assets: {资源名: 内容}, pages, warnings, logs}
+ */
+const apply = (options, assets, pages) => {
+    const hooks = {};
+    const plugin = (name, fn) => {
+        hooks[name] = fn;
+    };
+    const compilation = {plugin, warnings: [], assets: {}};
+    const logs = [];
+    const log = console.log;
+
+    Object.keys(assets).forEach((name) => {
+        compilation.assets[name] = {source: () => assets[name]};
+    });
+
+    new ReplacePlugin(options).apply({plugin});
+    hooks['this-compilation'](compilation);
+
+    console.log = (...args) => logs.push(args.join(' '));
+
+    return new Promise((resolve) => hooks['optimize-assets'](compilation.assets, resolve))
+        .then(() => Promise.all(Object.keys(pages || {}).map((name) => new Promise((resolve) => {
+            hooks['html-webpack-plugin-after-html-processing']({html: pages[name], outputName: name}, (err, args) => {
+                resolve([name, args.html]);
+            });
+        }))))
+        .then((html) => new Promise((resolve) => hooks.emit(compilation, () => resolve(html))))
+        .then((html) => {
+            console.log = log;
+
+            const result = {assets: {}, pages: {}, warnings: compilation.warnings.map((err) => err.message), logs};
+
+            Object.keys(compilation.assets).forEach((name) => {
+                result.assets[name] = compilation.assets[name].source();
+            });
+            html.forEach(([name, content]) => {
+                result.pages[name] = content;
+            });
+            return result;
+        }, (err) => {
+            console.log = log;
+            throw err;
+        });
+};
+
+run('replace-plugin', [
+    ['按规则替换 js、css 和页面，统计每条规则的替换次数', () => apply({
+        env: 'production',
+        rules: [
+            {name: 'api', search: 'api.test.com', replace: 'api.example.com'},
+            {name: 'id', search: 'ID_(\\d+)', regexp: true, replace: 'id-$1', files: 'js'}
+        ]
+    }, {
+        'index.js': 'fetch("//api.test.com/a?ID_1");fetch("//api.test.com/b?ID_2")',
+        'index.css': '.a{background:url(//api.test.com/a.png)} /* ID_3 */',
+        'index.html': '<script src="//api.test.com/x.js"></script>'
+    }, {
+        'index.html': '<script src="//api.test.com/x.js"></script>'
+    }).then((result) => {
+        assert.strictEqual(result.assets['index.js'], 'fetch("//api.example.com/a?id-1");fetch("//api.example.com/b?id-2")');
+        assert.strictEqual(result.assets['index.css'], '.a{background:url(//api.example.com/a.png)} /* ID_3 */');
+        // html 资源只在页面生成时替换一次
+        assert.strictEqual(result.assets['index.html'], '<script src="//api.test.com/x.js"></script>');
+        assert.strictEqual(result.pages['index.html'], '<script src="//api.example.com/x.js"></script>');
+        assert.deepStrictEqual(result.logs, ['文本替换:\n  api: 4 处\n  id: 2 处']);
+        assert.deepStrictEqual(result.warnings, []);
+    })],
+    ['dryRun 只统计不替换', () => apply({
+        env: 'production',
+        dryRun: true,
+        rules: [{name: 'api', search: 'api.test.com', replace: 'api.example.com'}]
+    }, {
+        'index.js': 'fetch("//api.test.com/a")'
+    }).then((result) => {
+        assert.strictEqual(result.assets['index.js'], 'fetch("//api.test.com/a")');
+        assert.deepStrictEqual(result.logs, ['文本替换 (dry run，未修改文件):\n  api: 1 处']);
+    })],
+    ['没有匹配到内容的规则给出警告', () => apply({
+        env: 'production',
+        rules: [{name: 'none', search: 'nothing', replace: 'x'}]
+    }, {
+        'index.js': 'var a = 1;'
+    }).then((result) => {
+        assert.deepStrictEqual(result.warnings, ['文本替换规则 none 没有匹配到任何内容']);
+    })],
+    ['依次按配置环境、构建环境、default 选择替换值，都没有时跳过', () => apply({
+        env: 'production',
+        configEnv: 'test',
+        rules: [
+            {name: 'config', search: 'A', replace: {test: 'T', production: 'P'}},
+            {name: 'build', search: 'B', replace: {production: 'P', default: 'D'}},
+            {name: 'default', search: 'C', replace: {prod: 'X', default: 'D'}},
+            {name: 'skip', search: 'E', replace: {prod: 'X'}}
+        ]
+    }, {
+        'index.js': 'ABCE'
+    }).then((result) => {
+        assert.strictEqual(result.assets['index.js'], 'TPDE');
+        assert.ok(/skip: 当前环境 test \(production\) 没有配置替换值，跳过/.test(result.logs[0]), result.logs[0]);
+        assert.deepStrictEqual(result.warnings, []);
+    })],
+    ['flags 和 RegExp 没有 g 时同样替换全部匹配', () => apply({
+        env: 'production',
+        rules: [
+            {name: 'flags', search: 'a', flags: 'i', replace: 'x'},
+            {name: 'regexp', search: /b/, replace: 'y'}
+        ]
+    }, {
+        'index.js': 'aAbB b'
+    }).then((result) => {
+        assert.strictEqual(result.assets['index.js'], 'xxyB y');
+        assert.deepStrictEqual(result.logs, ['文本替换:\n  flags: 2 处\n  regexp: 2 处']);
+    })],
+    ['缺少 search 的规则抛出异常', () => {
+        assert.throws(() => new ReplacePlugin({rules: [{replace: 'x'}]}), /replace 第 1 条规则缺少 search/);
+    }]
+]);
@@ -0,0 +1,60 @@
+'use strict';
+
+/**
+ * builderOptions 校验：类型、未知配置项、enum 和 "did you mean" 提示
+ */
+const assert = require('assert');
+const schema = require('../lib/schema');
+const Config = require('../lib/config');
+const {run} = require('./helpers');
+
+const validate = (builderOptions) => Config.validate(builderOptions, 'feflow.json');
+
+run('schema', [
+    ['合法的配置没有错误', () => {
+        assert.deepStrictEqual(validate({
+            moduleName: 'now',
+            port: 8001,
+            unit: {mode: 'vw', exclude: []},
+            serviceWorker: {mode: 'page', runtimeCaching: [{urlPattern: 'api', handler: 'cacheFirst'}]},
+            replace: [{search: 'a', replace: {prod: 'b'}}]
+        }), []);
+    }],
+    ['类型错误给出期望的类型', () => {
+        const errors = validate({port: '8001', replace: [{search: 'a'}]});
+
+        assert.deepStrictEqual(errors.map((error) => error.keyPath), ['builderOptions.port', 'builderOptions.replace[0].replace']);
+        assert.strictEqual(errors[0].message, 'feflow.json: builderOptions.port 应为 number 类型，实际为 string');
+        assert.strictEqual(errors[1].actual, 'undefined');
+    }],
+    ['未知配置项给出最接近的配置项', () => {
+        const errors = validate({moduelName: 'now', devServer: {mokc: 'mock'}});
+
+        assert.strictEqual(errors[0].message, 'feflow.json: builderOptions.moduelName 不是合法的配置项，你是不是想配置 moduleName？');
+        assert.strictEqual(errors[1].keyPath, 'builderOptions.devServer.mokc');
+        assert.strictEqual(errors[1].suggestion, 'mock');
+    }],
+    ['相差太多的配置项不给出提示', () => {
+        assert.strictEqual(schema.suggest('somethingElse', ['port', 'cdn']), undefined);
+        assert.strictEqual(schema.suggest('CDN', ['port', 'cdn']), 'cdn');
+    }],
+    ['enum 之外的值给出可选值和提示', () => {
+        const errors = validate({
+            unit: {mode: 'VW'},
+            offline: {integrity: 'recompte'},
+            serviceWorker: {mode: 'pages', runtimeCaching: [{urlPattern: 'api', handler: 'cachefirst'}]},
+            pages: {engine: 'jade'}
+        });
+
+        assert.deepStrictEqual(errors.map((error) => error.message), [
+            'feflow.json: builderOptions.unit.mode 只能为 rem、vw，实际为 VW，你是不是想配置 vw？',
+            'feflow.json: builderOptions.offline.integrity 只能为 remove、recompute，实际为 recompte，你是不是想配置 recompute？',
+            'feflow.json: builderOptions.serviceWorker.mode 只能为 project、page，实际为 pages，你是不是想配置 page？',
+            'feflow.json: builderOptions.serviceWorker.runtimeCaching[0].handler 只能为 cacheFirst、networkFirst、staleWhileRevalidate、networkOnly，实际为 cachefirst，你是不是想配置 cacheFirst？',
+            'feflow.json: builderOptions.pages.engine 只能为 html、ejs、handlebars，实际为 jade'
+        ]);
+    }],
+    ['值为 undefined 的配置项不校验', () => {
+        assert.deepStrictEqual(validate({port: undefined, unknownKey: undefined}), []);
+    }]
+]);
@@ -0,0 +1,44 @@
+'use strict';
+
+/**
+ * EJS 模板同样处理 Fis3 语法糖和 src 中的相对路径，模板语法中的地址不处理
+ */
+const assert = require('assert');
+const path = require('path');
+const {build, run} = require('./helpers');
+
+const FIXTURE = path.join(__dirname, 'fixtures/engine');
+const BUILDER_OPTIONS = {
+    moduleName: 'now',
+    bizName: 'engine',
+    product: 'now',
+    images: {optimize: false, inlineLimit: 0},
+    pages: {engine: 'ejs', data: {avatar: '//cdn.example.com/avatar.png'}}
+};
+
+let html;
+let files;
+
+run('template-engine', [
+    ['构建 EJS 页面', () => build(FIXTURE, BUILDER_OPTIONS).then((result) => {
+        files = Object.keys(result.files);
+        html = result.files['now/engine/index.html'].toString();
+    })],
+    ['内联的 html 片段经过模板引擎渲染', () => {
+        assert.ok(html.indexOf('<meta name="partial" content="index">') !== -1, html);
+    }],
+    ['src 中的相对路径输出为带 hash 的资源', () => {
+        const match = /<img class="logo" src="\/(now\/engine\/img\/logo_[0-9a-f]{8}\.png)">/.exec(html);
+
+        assert.ok(match, html);
+        assert.ok(files.indexOf(match[1]) !== -1, files.join('\n'));
+    }],
+    ['模板语法和外部地址不处理', () => {
+        assert.ok(html.indexOf('<img class="dynamic" src="//cdn.example.com/avatar.png">') !== -1, html);
+        assert.ok(html.indexOf('<img class="remote" src="https://example.com/a.png">') !== -1, html);
+    }],
+    ['__md5 替换为文件内容的 md5', () => {
+        // 生产环境页面经过压缩
+        assert.ok(/var version ?= ?["'][0-9a-f]{8}["']/.test(html), html);
+    }]
+]);
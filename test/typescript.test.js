@@ -0,0 +1,52 @@
+'use strict';
+
+/**
+ * TypeScript：ts-loader、类型检查和 tsconfig paths 使用项目中安装的同一个 typescript
+ */
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const BuilderCore = require('../lib/core');
+const {build, removeDir, run} = require('./helpers');
+
+const FIXTURE = path.join(__dirname, 'fixtures/typescript');
+const TSCONFIG = path.join(FIXTURE, 'tsconfig.json');
+const BUILDER_OPTIONS = {
+    moduleName: 'now',
+    bizName: 'typescript',
+    product: 'now',
+    images: {optimize: false}
+};
+
+const builder = new BuilderCore({root: FIXTURE});
+const tsPath = require.resolve('typescript', {paths: [FIXTURE]});
+
+run('typescript', [
+    ['ts-loader 和类型检查使用项目中的 typescript', () => {
+        const loader = builder.setTsHappyPack(TSCONFIG).config.loaders[0];
+        const checker = builder.setTsCheckerPlugin(TSCONFIG);
+
+        assert.strictEqual(loader.options.compiler, tsPath);
+        assert.strictEqual(checker.typescriptPath, tsPath);
+    }],
+    ['tsconfig paths 转换为 alias', () => {
+        assert.deepStrictEqual(builder.getTsPathsAlias(TSCONFIG), {'@': path.join(FIXTURE, 'src')});
+    }],
+    ['项目中没有 typescript 时给出安装提示', () => {
+        const root = fs.mkdtempSync(path.join(os.tmpdir(), 'no-typescript-'));
+
+        fs.writeFileSync(path.join(root, 'feflow.json'), '{"builderOptions":{}}');
+        try {
+            assert.throws(() => new BuilderCore({root}).getTypescriptPath(), /npm install --save-dev typescript/);
+        } finally {
+            removeDir(root);
+        }
+    }],
+    ['构建使用 paths 的 ts 页面并通过类型检查', () => build(FIXTURE, BUILDER_OPTIONS).then((result) => {
+        const js = Object.keys(result.files).filter((file) => /\.js$/.test(file));
+
+        assert.strictEqual(js.length, 1, Object.keys(result.files).join('\n'));
+        assert.ok(/hello /.test(result.files[js[0]].toString()));
+    })]
+]);
@@ -0,0 +1,64 @@
+'use strict';
+
+/**
+ * 多项目构建：查找工作区下的项目，单个项目失败不影响其它项目，汇总每个项目的结果
+ */
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const Workspace = require('../lib/workspace');
+const {mkdirp} = require('../lib/util');
+const {removeDir, run} = require('./helpers');
+
+const FIXTURE = path.join(__dirname, 'fixtures/workspace');
+// node_modules 不会提交到仓库，在测试中创建
+const IGNORED = path.join(FIXTURE, 'packages/app/node_modules/dep');
+
+let results;
+
+run('workspace', [
+    ['查找工作区下的项目，不包含根目录和 node_modules', () => {
+        mkdirp(IGNORED);
+        fs.writeFileSync(path.join(IGNORED, 'feflow.json'), '{"builderOptions":{}}');
+
+        try {
+            const projects = new Workspace({root: FIXTURE}).discover();
+
+            assert.deepStrictEqual(projects, [
+                {name: 'packages/app', root: path.join(FIXTURE, 'packages/app')},
+                {name: 'packages/broken', root: path.join(FIXTURE, 'packages/broken')}
+            ]);
+        } finally {
+            removeDir(path.join(FIXTURE, 'packages/app/node_modules'));
+        }
+    }],
+    ['include 限定查找的目录', () => {
+        const projects = new Workspace({root: FIXTURE, include: 'packages/app'}).discover();
+
+        assert.deepStrictEqual(projects.map((project) => project.name), ['packages/app']);
+    }],
+    ['构建所有项目，失败的项目记录错误', () => {
+        return new Workspace({root: FIXTURE}).build({concurrency: 1}).then((res) => {
+            removeDir(path.join(FIXTURE, 'packages/app/public'));
+            results = res;
+
+            const [app, broken] = results;
+
+            assert.strictEqual(app.success, true, app.errors.join('\n'));
+            assert.strictEqual(path.resolve(app.outDir), path.join(FIXTURE, 'packages/app/public'));
+            assert.ok(app.assets.some((asset) => /\.js(\?|$)/.test(asset.name)));
+            assert.strictEqual(app.size, app.assets.reduce((size, asset) => size + asset.size, 0));
+
+            assert.strictEqual(broken.success, false);
+            assert.ok(/builderOptions\.port 应为 number 类型/.test(broken.errors[0]), broken.errors[0]);
+        });
+    }],
+    ['汇总每个项目的状态和失败数量', () => {
+        const lines = Workspace.formatSummary(results).split('\n');
+
+        assert.ok(/^success\tpackages\/app\t\d+\.\d{2}s\t/.test(lines[0]), lines[0]);
+        assert.ok(/^failed\tpackages\/broken\t/.test(lines[1]), lines[1]);
+        assert.ok(/^ {4}.*builderOptions\.port 应为 number 类型/.test(lines[2]), lines[2]);
+        assert.strictEqual(lines[lines.length - 1], '共 2 个项目，成功 1 个，失败 1 个');
+    }]
+]);